@@ -0,0 +1,160 @@
+const { EventEmitter } = require('events');
+const { createAdapter } = require('./adapters');
+const { MessageQueue } = require('./queue');
+const { apiMethods } = require('./api');
+const forward = require('./forward');
+const { ApiError } = require('./errors');
+const segment = require('./segment');
+const { logger } = require('../utils/logger');
+
+/**
+ * 机器人账号：一条协议端连接及其登录的QQ号
+ * 每个账号有独立的适配器和发送队列，API方法与 Bot 相同，如 account.sendGroupMsg、account.getGroupList
+ */
+class Account extends EventEmitter {
+  constructor(bot, name, config) {
+    super();
+    this.bot = bot;
+    this.name = name;             // 连接名称，来自配置
+    this.config = config;         // 适配器配置
+    this.selfId = null;           // 登录的QQ号，协议端上报后确定
+    this.nickname = '';
+    this.adapter = createAdapter(this, config);
+    this.sendQueue = new MessageQueue(this, bot.config.sendQueue); // 每个账号单独限速
+  }
+
+  /**
+   * 兼容云崽的 Bot.uin
+   */
+  get uin() {
+    return this.selfId;
+  }
+
+  /**
+   * 连接是否在线
+   */
+  get online() {
+    return this.adapter.connected;
+  }
+
+  /**
+   * 连接协议端
+   */
+  async connect() {
+    return this.adapter.connect();
+  }
+
+  /**
+   * 断开连接
+   */
+  async disconnect() {
+    return this.adapter.disconnect();
+  }
+
+  /**
+   * 调用协议端API，失败时抛出带 retcode 的 ApiError
+   */
+  async callApi(action, params = {}) {
+    return this.adapter.send(action, params);
+  }
+
+  /**
+   * 发送私聊消息，经发送队列限速与重试
+   */
+  async sendPrivateMsg(userId, message) {
+    if (forward.isForwardMsg(message)) {
+      return this.sendForwardMsg('private', userId, message);
+    }
+    return this.sendQueue.push(`private:${userId}`, 'send_private_msg', {
+      user_id: userId,
+      message: this.formatMessage(message)
+    });
+  }
+
+  /**
+   * 发送群消息，经发送队列限速与重试
+   */
+  async sendGroupMsg(groupId, message) {
+    if (forward.isForwardMsg(message)) {
+      return this.sendForwardMsg('group', groupId, message);
+    }
+    return this.sendQueue.push(`group:${groupId}`, 'send_group_msg', {
+      group_id: groupId,
+      message: this.formatMessage(message)
+    });
+  }
+
+  /**
+   * 构建合并转发消息，兼容云崽的 Bot.makeForwardMsg
+   * 未指定昵称和QQ号的节点使用当前账号的信息
+   */
+  makeForwardMsg(msgs, options = {}) {
+    return forward.makeForwardMsg(msgs, {
+      nickname: options.nickname || this.nickname || this.bot.config.name,
+      userId: options.userId || this.selfId
+    });
+  }
+
+  /**
+   * 发送合并转发消息，协议端拒绝时退回为分段发送纯文本
+   */
+  async sendForwardMsg(type, targetId, forwardMsg) {
+    const isGroup = type === 'group';
+    const action = isGroup ? 'send_group_forward_msg' : 'send_private_forward_msg';
+    const params = isGroup
+      ? { group_id: targetId, messages: forwardMsg.nodes }
+      : { user_id: targetId, messages: forwardMsg.nodes };
+    
+    try {
+      // 协议端不支持合并转发时重试也不会成功，不重试，失败后直接降级
+      return await this.sendQueue.push(`${type}:${targetId}`, action, params, { retry: false });
+    } catch (error) {
+      // 只有协议端明确拒绝时才降级，超时或断线时消息可能已经发出
+      if (!(error instanceof ApiError) || error.retcode === null) {
+        throw error;
+      }
+      
+      logger.warn(`合并转发发送失败，改为分段发送: ${error.message}`);
+      const chunkSize = (this.bot.config.forward || {}).fallbackChunkSize;
+      let result = null;
+      for (const chunk of forward.toPlainChunks(forwardMsg, chunkSize)) {
+        result = isGroup ? await this.sendGroupMsg(targetId, chunk) : await this.sendPrivateMsg(targetId, chunk);
+      }
+      return result;
+    }
+  }
+
+  /**
+   * 格式化消息，使其符合协议要求
+   */
+  formatMessage(message) {
+    // 字符串按CQ码格式原样发送，由协议端解析
+    if (typeof message === 'string') {
+      return message;
+    }
+    // 数组或单个消息段统一为标准消息段数组
+    if (Array.isArray(message) || (message && typeof message === 'object' && message.type)) {
+      return segment.normalize(message);
+    }
+    // 其他情况转换为字符串
+    return String(message);
+  }
+
+  /**
+   * 获取账号信息
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      selfId: this.selfId,
+      nickname: this.nickname,
+      type: this.config.type,
+      online: this.online
+    };
+  }
+}
+
+// 挂载 OneBot v11 标准API封装方法，如 account.deleteMsg、account.getGroupList
+Object.assign(Account.prototype, apiMethods);
+
+module.exports = { Account };
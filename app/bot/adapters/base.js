@@ -0,0 +1,236 @@
+const { EventEmitter } = require('events');
+const { logger } = require('../../utils/logger');
+const { ConnectionClosedError, NotConnectedError } = require('../errors');
+
+/**
+ * 协议适配器基类，定义机器人与协议端之间的接口
+ * 子类需要实现：
+ * - connect()：建立连接或启动服务器
+ * - sendNow(action, params)：通过当前连接调用API，返回响应数据
+ * - disconnect()：断开连接，子类关闭自己的连接后调用 super.disconnect()
+ *
+ * 无论协议端使用哪种协议，API的动作名和参数、上报的事件都统一为 OneBot v11 的格式：
+ * - 'message'：消息事件，post_type 为 message
+ * - 'event'：通知、请求和元事件
+ * - 'self-id'：得知或变更登录的QQ号
+ * 因此 MessageProcessor 和插件不需要关心具体协议
+ */
+class BaseAdapter extends EventEmitter {
+  constructor(bot, config) {
+    super();
+    this.bot = bot;
+    this.config = config;
+    this.connected = false;
+    this.closing = false;        // 主动断开时不再重连
+    this.echoCounter = 0;
+    this.pendingRequests = new Map();
+    this.offlineQueue = [];      // 断线期间缓冲的API调用，重连后重放
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * 协议名称，用于日志
+   */
+  get protocol() {
+    return 'unknown';
+  }
+
+  /**
+   * 建立连接
+   */
+  async connect() {
+    throw new Error(`${this.constructor.name} 未实现 connect`);
+  }
+
+  /**
+   * 通过当前连接调用API
+   */
+  async sendNow(action) {
+    throw new NotConnectedError(action, `${this.constructor.name} 未实现 sendNow`);
+  }
+
+  /**
+   * 调用API，未连接时先缓冲，重连后重放
+   */
+  send(action, params = {}) {
+    if (!this.connected) {
+      return this.bufferRequest(action, params);
+    }
+    return this.sendNow(action, params);
+  }
+
+  /**
+   * 分发已统一为 OneBot v11 格式的上报
+   */
+  dispatch(payload) {
+    if (!payload) {
+      return;
+    }
+    
+    if (payload.post_type === 'message') {
+      this.emit('message', payload);
+    } else if (payload.post_type === 'meta_event' && payload.meta_event_type === 'lifecycle') {
+      if (payload.sub_type === 'connect') {
+        logger.info(`已连接到QQ服务器(${this.protocol})`);
+        this.emit('self-id', payload.self_id);
+      }
+    } else {
+      this.emit('event', payload);
+    }
+  }
+
+  /**
+   * 生成请求标识
+   */
+  nextEcho() {
+    return this.echoCounter++;
+  }
+
+  /**
+   * 登记等待响应的请求，超时后拒绝
+   */
+  waitResponse(echo, action, timeoutError) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (this.pendingRequests.has(echo)) {
+          this.pendingRequests.delete(echo);
+          reject(timeoutError);
+        }
+      }, this.config.timeout || 30000);
+      
+      this.pendingRequests.set(echo, { action, resolve, reject, timer });
+    });
+  }
+
+  /**
+   * 收到响应时结束等待，error 为空表示成功，也可以是根据动作名创建错误的函数
+   * 返回是否有对应的请求
+   */
+  settleResponse(echo, error, data) {
+    const pending = this.pendingRequests.get(echo);
+    if (!pending) {
+      return false;
+    }
+    
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(echo);
+    if (error) {
+      pending.reject(typeof error === 'function' ? error(pending.action) : error);
+    } else {
+      pending.resolve(data);
+    }
+    return true;
+  }
+
+  /**
+   * 断线期间缓冲请求，队列已满或超过等待期限时拒绝
+   */
+  bufferRequest(action, params) {
+    const options = this.config.offlineQueue || {};
+    const maxSize = options.size !== undefined ? options.size : 100;
+    const timeout = options.timeout || 30000;
+    
+    if (this.closing || this.offlineQueue.length >= maxSize) {
+      return Promise.reject(new NotConnectedError(action, this.closing ? '适配器已关闭' : '断线缓冲队列已满'));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const entry = { action, params, resolve, reject };
+      entry.timer = setTimeout(() => {
+        const index = this.offlineQueue.indexOf(entry);
+        if (index !== -1) {
+          this.offlineQueue.splice(index, 1);
+          reject(new NotConnectedError(action, `等待重连超过 ${timeout}ms`));
+        }
+      }, timeout);
+      
+      this.offlineQueue.push(entry);
+      logger.debug(`适配器未连接，已缓冲请求: ${action}（队列长度 ${this.offlineQueue.length}）`);
+    });
+  }
+
+  /**
+   * 连接恢复后按顺序重放缓冲的请求
+   */
+  flushOfflineQueue() {
+    if (this.offlineQueue.length === 0) {
+      return;
+    }
+    
+    const entries = this.offlineQueue.splice(0);
+    logger.info(`连接已恢复，重放 ${entries.length} 个缓冲请求`);
+    
+    for (const entry of entries) {
+      clearTimeout(entry.timer);
+      this.sendNow(entry.action, entry.params).then(entry.resolve, entry.reject);
+    }
+  }
+
+  /**
+   * 连接断开时立即拒绝所有等待响应的请求，不再等待各自超时
+   */
+  rejectPendingRequests() {
+    for (const [echo, pending] of this.pendingRequests) {
+      clearTimeout(pending.timer);
+      pending.reject(new ConnectionClosedError(pending.action));
+      this.pendingRequests.delete(echo);
+    }
+  }
+
+  /**
+   * 重新连接，采用带随机抖动的指数退避
+   * 连接失败时由子类在连接关闭后再次调用
+   */
+  reconnect() {
+    if (this.reconnectTimer || this.closing) {
+      return;
+    }
+    
+    const base = this.config.reconnectDelay || 5000;
+    const max = this.config.reconnectMaxDelay || 60000;
+    const exponential = Math.min(max, base * 2 ** this.reconnectAttempts);
+    // 在 [exponential/2, exponential] 区间内随机，避免多个实例同时重连
+    const delay = Math.round(exponential / 2 + Math.random() * exponential / 2);
+    this.reconnectAttempts++;
+    logger.info(`将在 ${delay}ms 后尝试第 ${this.reconnectAttempts} 次重新连接`);
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.connected && !this.closing) {
+        this.connect().catch(err => {
+          logger.error('重连失败:', err.message);
+        });
+      }
+    }, delay);
+  }
+
+  /**
+   * 断开连接，拒绝所有等待中和缓冲中的请求
+   */
+  async disconnect() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.connected = false;
+    this.rejectPendingRequests();
+    
+    for (const entry of this.offlineQueue.splice(0)) {
+      clearTimeout(entry.timer);
+      entry.reject(new NotConnectedError(entry.action, '适配器已关闭'));
+    }
+  }
+}
+
+/**
+ * 将协议端的字符串ID转换为 OneBot v11 使用的数字，无法安全转换时保留字符串
+ */
+function toNumberId(id) {
+  if (id === undefined || id === null || id === '') {
+    return id;
+  }
+  const str = String(id);
+  return /^\d+$/.test(str) && Number.isSafeInteger(Number(str)) ? Number(str) : str;
+}
+
+module.exports = { BaseAdapter, toNumberId };
@@ -0,0 +1,25 @@
+const { BaseAdapter } = require('./base');
+const { OneBot11Adapter } = require('./onebot11');
+const { OneBot12Adapter } = require('./onebot12');
+const { SatoriAdapter } = require('./satori');
+
+// 协议名 -> 适配器类
+const ADAPTERS = {
+  onebot11: OneBot11Adapter,
+  onebot12: OneBot12Adapter,
+  satori: SatoriAdapter
+};
+
+/**
+ * 按配置中的 protocol 创建协议适配器，未配置时使用 OneBot v11
+ */
+function createAdapter(bot, config) {
+  const protocol = (config.protocol || 'onebot11').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const AdapterClass = ADAPTERS[protocol];
+  if (!AdapterClass) {
+    throw new Error(`不支持的协议: ${config.protocol}，可选 ${Object.keys(ADAPTERS).join('、')}`);
+  }
+  return new AdapterClass(bot, config);
+}
+
+module.exports = { createAdapter, BaseAdapter, OneBot11Adapter, OneBot12Adapter, SatoriAdapter };
@@ -0,0 +1,476 @@
+const http = require('http');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const axios = require('axios');
+const { BaseAdapter } = require('./base');
+const { logger } = require('../../utils/logger');
+const { ApiError, ApiTimeoutError, NotConnectedError } = require('../errors');
+
+/**
+ * OneBot v11 适配器，适用于 go-cqhttp、Lagrange.OneBot、NapCat 等
+ * 支持正向WebSocket、反向WebSocket和HTTP三种连接方式
+ */
+class OneBot11Adapter extends BaseAdapter {
+  constructor(bot, config) {
+    super(bot, config);
+    this.ws = null;
+    this.eventWs = null;         // 反向WebSocket模式下单独的Event连接
+    this.server = null;          // 反向WebSocket和HTTP模式下的HTTP服务器
+  }
+  
+  get protocol() {
+    return 'OneBot v11';
+  }
+
+  /**
+   * 连接到协议端
+   */
+  async connect() {
+    if (this.config.type === 'ws') {
+      return this.connectWebSocket();
+    } else if (this.config.type === 'ws-reverse') {
+      return this.setupReverseWebSocket();
+    } else if (this.config.type === 'http') {
+      return this.setupHttpServer();
+    } else {
+      throw new Error(`不支持的适配器类型: ${this.config.type}`);
+    }
+  }
+
+  /**
+   * 通过正向WebSocket连接到协议端
+   */
+  connectWebSocket() {
+    return new Promise((resolve, reject) => {
+      const wsUrl = this.config.ws.url || 'ws://localhost:6700/ws';
+      logger.info(`正在连接到${this.protocol} WebSocket: ${wsUrl}`);
+      
+      this.ws = new WebSocket(wsUrl, this.getWebSocketOptions());
+      
+      this.ws.on('open', () => {
+        logger.info('WebSocket连接已建立');
+        this.connected = true;
+        this.reconnectAttempts = 0;
+        this.flushOfflineQueue();
+        resolve();
+      });
+      
+      this.ws.on('message', (data) => {
+        this.handleWebSocketMessage(data);
+      });
+      
+      this.ws.on('close', (code, reason) => {
+        logger.warn(`WebSocket连接已关闭，代码: ${code}, 原因: ${reason.toString()}`);
+        this.connected = false;
+        this.rejectPendingRequests();
+        if (!this.closing) {
+          this.reconnect();
+        }
+      });
+      
+      this.ws.on('error', (error) => {
+        logger.error('WebSocket错误:', error);
+        if (!this.connected) {
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * 正向WebSocket的连接选项，配置了 accessToken 时通过请求头鉴权
+   */
+  getWebSocketOptions() {
+    const accessToken = (this.config.ws || {}).accessToken;
+    return accessToken ? { headers: { Authorization: `Bearer ${accessToken}` } } : {};
+  }
+
+  /**
+   * 启动反向WebSocket服务器，等待协议端主动连接
+   * 支持Universal单连接，也支持API与Event分离的两条连接
+   */
+  setupReverseWebSocket() {
+    const options = this.config.wsReverse || {};
+    const routes = this.getReverseRoutes(options);
+    
+    this.server = http.createServer((req, res) => {
+      res.writeHead(426, { 'Content-Type': 'text/plain' });
+      res.end('Upgrade Required');
+    });
+    const wss = new WebSocket.Server({ noServer: true });
+    
+    this.server.on('upgrade', (req, socket, head) => {
+      const pathname = new URL(req.url, 'http://localhost').pathname;
+      const role = routes[pathname];
+      const error = this.verifyReverseRequest(req, role, options);
+      
+      if (error) {
+        logger.warn(`拒绝反向WebSocket连接(${pathname}): ${error.message}`);
+        socket.write(`HTTP/1.1 ${error.code} ${http.STATUS_CODES[error.code]}\r\n\r\n`);
+        socket.destroy();
+        return;
+      }
+      
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        this.handleReverseConnection(ws, role, req.headers['x-self-id']);
+      });
+    });
+    
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(options.port || 3000, options.host, () => {
+        const paths = Object.keys(routes).join(', ');
+        logger.info(`反向WebSocket服务器已启动，监听端口: ${this.server.address().port}，路径: ${paths}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 反向WebSocket的连接路径及对应的角色
+   */
+  getReverseRoutes(options) {
+    return {
+      [options.path || '/ws']: 'Universal',
+      [options.apiPath || '/api']: 'API',
+      [options.eventPath || '/event']: 'Event'
+    };
+  }
+
+  /**
+   * 校验反向WebSocket握手请求，返回错误信息或null
+   */
+  verifyReverseRequest(req, role, options) {
+    if (!role) {
+      return { code: 404, message: '未知的连接路径' };
+    }
+    
+    const clientRole = req.headers['x-client-role'];
+    if (!clientRole || clientRole.toLowerCase() !== role.toLowerCase()) {
+      return { code: 400, message: `X-Client-Role 不匹配，期望 ${role}，实际 ${clientRole}` };
+    }
+    
+    const selfId = req.headers['x-self-id'];
+    if (!/^\d+$/.test(selfId || '')) {
+      return { code: 400, message: `X-Self-ID 无效: ${selfId}` };
+    }
+    if (options.selfId && String(options.selfId) !== selfId) {
+      return { code: 403, message: `X-Self-ID 与配置不一致: ${selfId}` };
+    }
+    
+    return this.verifyAccessToken(req, options.accessToken);
+  }
+
+  /**
+   * 校验请求携带的 access-token，未配置时不校验
+   */
+  verifyAccessToken(req, accessToken) {
+    if (!accessToken) {
+      return null;
+    }
+    
+    // go-cqhttp 使用 "Token xxx"，其他实现可能使用 "Bearer xxx" 或查询参数
+    const auth = req.headers['authorization'] || '';
+    const token = auth.replace(/^(Token|Bearer)\s+/i, '') ||
+      new URL(req.url, 'http://localhost').searchParams.get('access_token');
+    if (token !== accessToken) {
+      return { code: 401, message: 'access-token 校验失败' };
+    }
+    return null;
+  }
+
+  /**
+   * 处理协议端建立的反向WebSocket连接
+   */
+  handleReverseConnection(ws, role, selfId) {
+    logger.info(`协议端已连接，角色: ${role}，账号: ${selfId}`);
+    
+    // API调用走Universal或API连接，Event连接只接收上报
+    const isApi = role !== 'Event';
+    const previous = isApi ? this.ws : this.eventWs;
+    if (previous) {
+      previous.removeAllListeners('close');
+      previous.close();
+      // 旧连接的close监听已移除，上面未响应的请求需要在这里结束
+      if (isApi) {
+        this.rejectPendingRequests();
+      }
+    }
+    
+    if (isApi) {
+      this.ws = ws;
+      this.connected = true;
+      this.flushOfflineQueue();
+    } else {
+      this.eventWs = ws;
+    }
+    if (selfId) {
+      this.emit('self-id', Number(selfId));
+    }
+    
+    ws.on('message', (data) => {
+      this.handleWebSocketMessage(data);
+    });
+    
+    ws.on('close', (code, reason) => {
+      logger.warn(`反向WebSocket连接已关闭(${role})，代码: ${code}, 原因: ${reason.toString()}`);
+      if (isApi && this.ws === ws) {
+        this.ws = null;
+        this.connected = false;
+        this.rejectPendingRequests();
+      } else if (!isApi && this.eventWs === ws) {
+        this.eventWs = null;
+      }
+    });
+    
+    ws.on('error', (error) => {
+      logger.error(`反向WebSocket错误(${role}):`, error);
+    });
+  }
+
+  /**
+   * 处理WebSocket消息
+   */
+  handleWebSocketMessage(data) {
+    try {
+      const payload = JSON.parse(data.toString());
+      
+      // 处理响应消息
+      if (payload.echo !== undefined) {
+        const error = payload.status === 'ok'
+          ? null
+          : (action) => new ApiError(action, payload.retcode, payload.wording || payload.msg || payload.message);
+        this.settleResponse(payload.echo, error, payload.data);
+        return;
+      }
+      
+      // 处理事件消息
+      this.dispatch(this.normalizeEvent(payload));
+    } catch (error) {
+      logger.error('处理WebSocket消息错误:', error);
+    }
+  }
+
+  /**
+   * 将上报统一为 OneBot v11 格式，返回null表示忽略
+   */
+  normalizeEvent(payload) {
+    return payload;
+  }
+
+  /**
+   * 发送请求到协议端，未连接时先缓冲，重连后重放
+   * HTTP模式下每次调用都是独立的POST请求，不需要缓冲
+   */
+  send(action, params = {}) {
+    if (this.config.type === 'http') {
+      return this.sendHttp(action, params);
+    }
+    return super.send(action, params);
+  }
+
+  /**
+   * 立即通过当前连接发送请求
+   */
+  async sendNow(action, params) {
+    const echo = this.nextEcho();
+    const response = this.waitResponse(echo, action, new ApiTimeoutError(action));
+    
+    try {
+      this.ws.send(JSON.stringify({ action, params, echo }));
+    } catch (error) {
+      this.settleResponse(echo, error);
+    }
+    return response;
+  }
+
+  /**
+   * 断开连接
+   */
+  async disconnect() {
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+    if (this.eventWs) {
+      this.eventWs.close();
+      this.eventWs = null;
+    }
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    await super.disconnect();
+  }
+
+  /**
+   * 设置HTTP服务器，接收协议端的HTTP上报
+   * 配置了 secret 时校验 X-Signature，响应体可以携带快速操作
+   */
+  async setupHttpServer() {
+    const express = require('express');
+    const app = express();
+    const options = this.config.http || {};
+    
+    // 保留原始请求体用于计算签名
+    app.use(express.raw({ type: () => true, limit: '10mb' }));
+    
+    // 处理上报
+    app.post(options.callbackPath || '/api/callback', (req, res) => {
+      const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const error = this.verifyHttpRequest(req, body, options);
+      if (error) {
+        logger.warn(`HTTP上报校验失败(${error.message})，来源: ${req.socket.remoteAddress}`);
+        res.status(error.code).end();
+        return;
+      }
+      
+      let payload;
+      try {
+        payload = JSON.parse(body.toString('utf8'));
+      } catch (error) {
+        res.status(400).end();
+        return;
+      }
+      
+      const selfId = req.headers['x-self-id'];
+      if (selfId && Number(selfId) !== this.bot.selfId) {
+        this.emit('self-id', Number(selfId));
+      }
+      
+      this.handleHttpPost(payload, res, options);
+    });
+    
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer(app);
+      this.server.once('error', reject);
+      this.server.listen(options.port || 3000, options.host, () => {
+        logger.info(`HTTP服务器已启动，监听端口: ${this.server.address().port}，API地址: ${options.apiUrl || '未配置'}`);
+        this.connected = true;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 校验HTTP上报请求，返回错误信息或null
+   */
+  verifyHttpRequest(req, body, options) {
+    if (!this.verifySignature(body, req.headers['x-signature'], options.secret)) {
+      return { code: 403, message: '签名不匹配' };
+    }
+    return null;
+  }
+
+  /**
+   * 校验 X-Signature 头：sha1=HMAC-SHA1(secret, 请求体)，未配置 secret 时不校验
+   */
+  verifySignature(body, signature, secret) {
+    if (!secret) {
+      return true;
+    }
+    if (!signature) {
+      return false;
+    }
+    
+    const expected = `sha1=${crypto.createHmac('sha1', secret).update(body).digest('hex')}`;
+    const actual = String(signature).toLowerCase();
+    return actual.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+  }
+
+  /**
+   * 分发HTTP上报，在 quickTimeout 内等待插件给出快速操作，作为响应体返回
+   * 消息事件支持 reply、at_sender、delete、kick、ban、ban_duration，请求事件支持 approve、remark、reason
+   */
+  handleHttpPost(payload, res, options) {
+    const quickTimeout = options.quickTimeout || 0;
+    const supportsQuick = payload.post_type === 'message' || payload.post_type === 'request';
+    let responded = false;
+    let timer = null;
+    
+    const respond = (operation) => {
+      if (responded) return false;
+      responded = true;
+      clearTimeout(timer);
+      if (operation) {
+        res.json(operation);
+      } else {
+        res.status(204).end();
+      }
+      return true;
+    };
+    
+    if (supportsQuick && quickTimeout > 0) {
+      // 插件通过 context.quickOperation / e.quickOperation 设置，只有第一次设置生效
+      Object.defineProperty(payload, 'quickOperation', {
+        value: (operation) => respond(this.formatQuickOperation(operation))
+      });
+      timer = setTimeout(() => respond(null), quickTimeout);
+    } else {
+      respond(null);
+    }
+    
+    if (payload.post_type === 'message') {
+      this.emit('message', payload);
+    } else if (payload.post_type === 'meta_event') {
+      // HTTP上报的心跳和生命周期事件无需处理
+    } else {
+      this.emit('event', payload);
+    }
+  }
+
+  /**
+   * 转换快速操作中的回复内容为协议端可接受的格式
+   */
+  formatQuickOperation(operation) {
+    if (!operation || operation.reply === undefined) {
+      return operation;
+    }
+    return { ...operation, reply: this.bot.formatMessage(operation.reply) };
+  }
+
+  /**
+   * 通过HTTP POST调用API，地址为 apiUrl/action，鉴权使用 access-token
+   */
+  async sendHttp(action, params) {
+    const options = this.config.http || {};
+    if (!options.apiUrl) {
+      throw new NotConnectedError(action, '未配置HTTP API地址 (http.apiUrl)');
+    }
+    if (this.closing) {
+      throw new NotConnectedError(action, '适配器已关闭');
+    }
+    
+    const headers = {};
+    if (options.accessToken) {
+      headers.Authorization = `Bearer ${options.accessToken}`;
+    }
+    
+    let response;
+    try {
+      response = await axios.post(`${options.apiUrl.replace(/\/+$/, '')}/${action}`, params, {
+        headers,
+        timeout: this.config.timeout || 30000,
+        // 非2xx响应同样解析返回体中的 retcode
+        validateStatus: () => true
+      });
+    } catch (error) {
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        throw new ApiTimeoutError(action);
+      }
+      throw new NotConnectedError(action, error.message);
+    }
+    
+    const payload = response.data || {};
+    if (response.status >= 200 && response.status < 300 && payload.status !== 'failed') {
+      return payload.data;
+    }
+    
+    // go-cqhttp 的鉴权失败只返回状态码（401 缺少token，403 token错误）
+    const retcode = payload.retcode !== undefined ? payload.retcode : response.status;
+    throw new ApiError(action, retcode, payload.wording || payload.msg || `HTTP ${response.status}`);
+  }
+}
+
+module.exports = { OneBot11Adapter };
@@ -0,0 +1,400 @@
+const path = require('path');
+const axios = require('axios');
+const { fileURLToPath } = require('url');
+const { OneBot11Adapter } = require('./onebot11');
+const { toNumberId } = require('./base');
+const segment = require('../segment');
+const { logger } = require('../../utils/logger');
+const { ApiError, ApiTimeoutError, NotConnectedError } = require('../errors');
+
+// OneBot v12 通知类型对应的 v11 通知类型
+const NOTICE_TYPES = {
+  friend_increase: 'friend_add',
+  private_message_delete: 'friend_recall',
+  group_member_increase: 'group_increase',
+  group_member_decrease: 'group_decrease',
+  group_message_delete: 'group_recall',
+  group_admin_set: 'group_admin',
+  group_admin_unset: 'group_admin'
+};
+
+// 需要在 v11 数字ID与 v12 字符串ID之间转换的字段
+const ID_FIELDS = ['user_id', 'group_id', 'operator_id'];
+
+// v11 媒体消息段对应的 v12 消息段
+const MEDIA_TYPES = { image: 'image', record: 'voice', video: 'video', file: 'file' };
+
+/**
+ * OneBot v12 适配器，适用于 Walle-Q、Lagrange 等实现了 v12 的协议端
+ * 连接方式与 v11 相同，收发时在 v12 与 v11 的动作、事件和消息段之间转换
+ */
+class OneBot12Adapter extends OneBot11Adapter {
+  get protocol() {
+    return 'OneBot v12';
+  }
+
+  /**
+   * v12 反向WebSocket只有一条连接
+   */
+  getReverseRoutes(options) {
+    return { [options.path || '/ws']: 'Universal' };
+  }
+
+  /**
+   * v12 反向WebSocket没有 X-Client-Role 和 X-Self-ID，登录号从事件的 self 字段中获取
+   */
+  verifyReverseRequest(req, role, options) {
+    if (!role) {
+      return { code: 404, message: '未知的连接路径' };
+    }
+    return this.verifyAccessToken(req, options.accessToken);
+  }
+
+  /**
+   * v12 HTTP Webhook 通过 access-token 鉴权
+   */
+  verifyHttpRequest(req, body, options) {
+    return this.verifyAccessToken(req, options.accessToken);
+  }
+
+  /**
+   * v12 Webhook 不支持 v11 的快速操作，收到后立即响应
+   */
+  handleHttpPost(payload, res) {
+    res.status(204).end();
+    this.dispatch(this.normalizeEvent(payload));
+  }
+
+  /**
+   * 调用API，动作和参数使用 v11 格式，返回值同样转换为 v11 格式
+   */
+  async send(action, params = {}) {
+    const request = await this.encodeAction(action, params);
+    const data = await super.send(request.action, request.params);
+    return this.decodeResult(action, params, data);
+  }
+
+  /**
+   * 通过HTTP POST调用API，v12 所有动作共用 apiUrl，动作名放在请求体中
+   */
+  async sendHttp(action, params) {
+    const options = this.config.http || {};
+    if (!options.apiUrl) {
+      throw new NotConnectedError(action, '未配置HTTP API地址 (http.apiUrl)');
+    }
+    if (this.closing) {
+      throw new NotConnectedError(action, '适配器已关闭');
+    }
+    
+    const headers = {};
+    if (options.accessToken) {
+      headers.Authorization = `Bearer ${options.accessToken}`;
+    }
+    
+    let response;
+    try {
+      response = await axios.post(options.apiUrl, { action, params }, {
+        headers,
+        timeout: this.config.timeout || 30000,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        throw new ApiTimeoutError(action);
+      }
+      throw new NotConnectedError(action, error.message);
+    }
+    
+    const payload = response.data || {};
+    if (response.status >= 200 && response.status < 300 && payload.status === 'ok') {
+      return payload.data;
+    }
+    const retcode = payload.retcode !== undefined ? payload.retcode : response.status;
+    throw new ApiError(action, retcode, payload.message || `HTTP ${response.status}`);
+  }
+
+  /**
+   * 将 v11 动作转换为 v12 动作，没有对应标准动作的原样发送，由协议端的扩展动作处理
+   */
+  async encodeAction(action, params) {
+    switch (action) {
+      case 'send_private_msg':
+        return this.encodeSend('private', { user_id: String(params.user_id) }, params.message);
+      case 'send_group_msg':
+        return this.encodeSend('group', { group_id: String(params.group_id) }, params.message);
+      case 'send_msg':
+        return params.message_type === 'group' || (!params.message_type && params.group_id)
+          ? this.encodeSend('group', { group_id: String(params.group_id) }, params.message)
+          : this.encodeSend('private', { user_id: String(params.user_id) }, params.message);
+      case 'delete_msg':
+        return { action: 'delete_message', params: { message_id: String(params.message_id) } };
+      case 'get_login_info':
+        return { action: 'get_self_info', params: {} };
+      case 'get_stranger_info':
+        return { action: 'get_user_info', params: { user_id: String(params.user_id) } };
+      default:
+        return { action, params: stringifyIds(params) };
+    }
+  }
+
+  /**
+   * 构建 send_message 动作，媒体文件先上传得到 file_id
+   */
+  async encodeSend(detailType, target, message) {
+    return {
+      action: 'send_message',
+      params: { detail_type: detailType, ...target, message: await this.toV12Message(message) }
+    };
+  }
+
+  /**
+   * 将 v12 动作的返回值转换为 v11 格式
+   */
+  decodeResult(action, params, data) {
+    if (!data) {
+      return data;
+    }
+    
+    switch (action) {
+      case 'get_login_info':
+      case 'get_stranger_info':
+        return toV11User(data);
+      case 'get_friend_list':
+        return (data || []).map(toV11User);
+      case 'get_group_info':
+        return toV11Group(data);
+      case 'get_group_list':
+        return (data || []).map(toV11Group);
+      case 'get_group_member_info':
+        return toV11Member(data, params.group_id);
+      case 'get_group_member_list':
+        return (data || []).map(member => toV11Member(member, params.group_id));
+      case 'get_msg':
+        return data.message ? { ...convertIds(data), message: toV11Message(data.message) } : data;
+      default:
+        return data;
+    }
+  }
+
+  /**
+   * 将 v11 消息转换为 v12 消息段，图片、语音等媒体通过 upload_file 上传
+   */
+  async toV12Message(message) {
+    const result = [];
+    for (const seg of segment.normalize(message)) {
+      const data = seg.data || {};
+      if (seg.type === 'at') {
+        result.push(data.qq === 'all'
+          ? { type: 'mention_all', data: {} }
+          : { type: 'mention', data: { user_id: String(data.qq) } });
+      } else if (seg.type === 'reply') {
+        result.push({ type: 'reply', data: { message_id: String(data.id) } });
+      } else if (MEDIA_TYPES[seg.type]) {
+        result.push({ type: MEDIA_TYPES[seg.type], data: { file_id: await this.uploadFile(data.file, data.name) } });
+      } else {
+        result.push({ type: seg.type, data });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 上传文件并返回 file_id，支持 http(s)://、file://、base64://；其他值视为已有的 file_id
+   */
+  async uploadFile(file, name) {
+    const str = String(file || '');
+    let params;
+    if (/^https?:\/\//i.test(str)) {
+      params = { type: 'url', url: str, name: name || path.basename(new URL(str).pathname) || 'file' };
+    } else if (/^file:\/\//i.test(str)) {
+      const filePath = fileURLToPath(str);
+      params = { type: 'path', path: filePath, name: name || path.basename(filePath) };
+    } else if (/^base64:\/\//i.test(str)) {
+      params = { type: 'data', data: str.slice('base64://'.length), name: name || 'file' };
+    } else {
+      return str;
+    }
+    
+    const result = await this.send('upload_file', params);
+    return result.file_id;
+  }
+
+  /**
+   * 将 v12 上报转换为 v11 格式，返回null表示忽略
+   */
+  normalizeEvent(payload) {
+    const base = {
+      time: Math.floor(payload.time || Date.now() / 1000),
+      self_id: toNumberId(payload.self && payload.self.user_id)
+    };
+    // 通知和请求的其余字段沿用，去掉 v12 特有的字段
+    const fields = convertIds(payload);
+    delete fields.type;
+    delete fields.detail_type;
+    delete fields.self;
+    
+    switch (payload.type) {
+      case 'message':
+        return this.normalizeMessage(payload, base);
+      case 'notice': {
+        const detail = {
+          ...fields,
+          ...base,
+          post_type: 'notice',
+          notice_type: NOTICE_TYPES[payload.detail_type] || payload.detail_type
+        };
+        if (payload.detail_type === 'group_member_increase') {
+          detail.sub_type = payload.sub_type === 'invite' ? 'invite' : 'approve';
+        } else if (payload.detail_type === 'group_admin_set' || payload.detail_type === 'group_admin_unset') {
+          detail.sub_type = payload.detail_type === 'group_admin_set' ? 'set' : 'unset';
+        }
+        return detail;
+      }
+      case 'request':
+        return { ...fields, ...base, post_type: 'request', request_type: payload.detail_type };
+      case 'meta':
+        return this.normalizeMeta(payload, base);
+      default:
+        logger.debug(`忽略未知的 OneBot v12 上报: ${payload.type}`);
+        return null;
+    }
+  }
+
+  /**
+   * 转换消息事件，频道消息没有 v11 对应格式，暂不处理
+   */
+  normalizeMessage(payload, base) {
+    if (payload.detail_type !== 'private' && payload.detail_type !== 'group') {
+      logger.debug(`忽略 OneBot v12 ${payload.detail_type} 消息`);
+      return null;
+    }
+    
+    const isGroup = payload.detail_type === 'group';
+    const message = toV11Message(payload.message);
+    const userId = toNumberId(payload.user_id);
+    return {
+      ...base,
+      post_type: 'message',
+      message_type: payload.detail_type,
+      sub_type: payload.sub_type || (isGroup ? 'normal' : 'friend'),
+      message_id: payload.message_id,
+      user_id: userId,
+      group_id: isGroup ? toNumberId(payload.group_id) : undefined,
+      message,
+      raw_message: segment.stringify(message),
+      sender: { user_id: userId }
+    };
+  }
+
+  /**
+   * 转换元事件，status_update 中在线的机器人视为连接成功，心跳忽略
+   */
+  normalizeMeta(payload, base) {
+    if (payload.detail_type === 'status_update') {
+      const bots = (payload.status && payload.status.bots) || [];
+      const online = bots.find(bot => bot.online);
+      if (online) {
+        return {
+          ...base,
+          post_type: 'meta_event',
+          meta_event_type: 'lifecycle',
+          sub_type: 'connect',
+          self_id: toNumberId(online.self.user_id)
+        };
+      }
+    } else if (payload.detail_type === 'connect') {
+      const impl = (payload.version && payload.version.impl) || '未知实现';
+      logger.info(`OneBot v12 协议端已连接: ${impl}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * 将 v12 消息段转换为 v11 消息段
+ */
+function toV11Message(message) {
+  return (message || []).map(seg => {
+    const data = seg.data || {};
+    switch (seg.type) {
+      case 'mention':
+        return segment.at(data.user_id);
+      case 'mention_all':
+        return segment.at('all');
+      case 'reply':
+        return segment.reply(data.message_id);
+      case 'image':
+        return { type: 'image', data: { file: data.file_id, url: data.url } };
+      case 'voice':
+      case 'audio':
+        return { type: 'record', data: { file: data.file_id } };
+      case 'video':
+        return { type: 'video', data: { file: data.file_id } };
+      case 'location':
+        return { type: 'location', data: { lat: data.latitude, lon: data.longitude, title: data.title, content: data.content } };
+      default:
+        return { type: seg.type, data };
+    }
+  });
+}
+
+/**
+ * v12 用户信息转换为 v11 格式
+ */
+function toV11User(user) {
+  return {
+    ...user,
+    user_id: toNumberId(user.user_id),
+    nickname: user.user_name,
+    remark: user.user_remark || ''
+  };
+}
+
+/**
+ * v12 群信息转换为 v11 格式
+ */
+function toV11Group(group) {
+  return { ...group, group_id: toNumberId(group.group_id) };
+}
+
+/**
+ * v12 群成员信息转换为 v11 格式，v12 不提供群角色，默认为普通成员
+ */
+function toV11Member(member, groupId) {
+  return {
+    role: 'member',
+    ...member,
+    group_id: toNumberId(groupId),
+    user_id: toNumberId(member.user_id),
+    nickname: member.user_name,
+    card: member.user_displayname || ''
+  };
+}
+
+/**
+ * 将对象中的ID字段转换为数字
+ */
+function convertIds(obj) {
+  const result = { ...obj };
+  for (const key of ID_FIELDS) {
+    if (result[key] !== undefined) {
+      result[key] = toNumberId(result[key]);
+    }
+  }
+  return result;
+}
+
+/**
+ * 将参数中的ID字段转换为 v12 要求的字符串
+ */
+function stringifyIds(params) {
+  const result = { ...params };
+  for (const key of [...ID_FIELDS, 'message_id']) {
+    if (result[key] !== undefined && result[key] !== null) {
+      result[key] = String(result[key]);
+    }
+  }
+  return result;
+}
+
+module.exports = { OneBot12Adapter };
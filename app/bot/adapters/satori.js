@@ -0,0 +1,716 @@
+const WebSocket = require('ws');
+const axios = require('axios');
+const { BaseAdapter, toNumberId } = require('./base');
+const segment = require('../segment');
+const { logger } = require('../../utils/logger');
+const { ApiError, ApiTimeoutError, NotConnectedError } = require('../errors');
+
+// Satori 信令
+const OP = { EVENT: 0, PING: 1, PONG: 2, IDENTIFY: 3, READY: 4 };
+
+// 私聊频道类型
+const CHANNEL_DIRECT = 1;
+
+// 媒体消息段对应的 Satori 元素，以及 base64 数据使用的默认 MIME 类型
+const MEDIA_ELEMENTS = {
+  image: ['img', 'image/png'],
+  record: ['audio', 'audio/mpeg'],
+  video: ['video', 'video/mp4'],
+  file: ['file', 'application/octet-stream']
+};
+
+// 记录消息所在频道的条数上限，撤回和获取消息需要频道ID
+const MESSAGE_CACHE_SIZE = 1000;
+
+const XML_ESCAPES = [['&', '&amp;'], ['<', '&lt;'], ['>', '&gt;'], ['"', '&quot;']];
+
+const TAG_PATTERN = /<(\/)?([a-zA-Z][\w:-]*)((?:\s+[^\s=/>]+(?:=(?:"[^"]*"|'[^']*'))?)*)\s*(\/)?>/g;
+const ATTR_PATTERN = /([^\s=]+)(?:=(?:"([^"]*)"|'([^']*)'))?/g;
+
+/**
+ * Satori 适配器，适用于 Chronocat、Koishi 等实现了 Satori 协议的协议端
+ * 事件通过 WebSocket 接收，API 通过 HTTP 调用，收发时与 OneBot v11 格式互相转换
+ */
+class SatoriAdapter extends BaseAdapter {
+  constructor(bot, config) {
+    super(bot, config);
+    this.ws = null;
+    this.heartbeatTimer = null;
+    this.sequence = 0;              // 最后收到的事件序号，重连后据此补发事件
+    this.platform = null;           // 登录账号所在的平台
+    this.selfId = null;             // 登录账号的ID
+    this.privateChannels = new Map(); // 用户ID -> 私聊频道ID
+    this.groupChannels = new Map();   // 群号 -> 频道ID
+    this.messageChannels = new Map(); // 消息ID -> 频道ID
+  }
+  
+  get protocol() {
+    return 'Satori';
+  }
+
+  /**
+   * Satori 配置，endpoint 为协议端的 HTTP 地址
+   */
+  get options() {
+    return this.config.satori || {};
+  }
+
+  /**
+   * API 地址前缀
+   */
+  get apiBase() {
+    return `${(this.options.endpoint || 'http://127.0.0.1:5500').replace(/\/+$/, '')}/v1`;
+  }
+
+  /**
+   * 连接事件推送，收到 READY 后才视为连接成功
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const wsUrl = `${this.apiBase.replace(/^http/i, 'ws')}/events`;
+      logger.info(`正在连接到Satori: ${wsUrl}`);
+      
+      this.ws = new WebSocket(wsUrl);
+      
+      this.ws.on('open', () => {
+        this.ws.send(JSON.stringify({
+          op: OP.IDENTIFY,
+          body: { token: this.options.token || undefined, sn: this.sequence, sequence: this.sequence }
+        }));
+        this.startHeartbeat();
+      });
+      
+      this.ws.on('message', (data) => {
+        try {
+          const payload = JSON.parse(data.toString());
+          if (payload.op === OP.READY) {
+            // 没有匹配的登录账号时视为连接失败，关闭连接后按退避策略重连，等待账号登录
+            if (this.handleReady(payload.body || {})) {
+              resolve();
+            } else {
+              reject(new Error('Satori协议端没有匹配的登录账号'));
+              this.ws.close();
+            }
+          } else if (payload.op === OP.EVENT) {
+            this.handleEvent(payload.body || {});
+          }
+        } catch (error) {
+          logger.error('处理Satori消息错误:', error);
+        }
+      });
+      
+      this.ws.on('close', (code, reason) => {
+        logger.warn(`Satori连接已关闭，代码: ${code}, 原因: ${reason.toString()}`);
+        clearInterval(this.heartbeatTimer);
+        const wasConnected = this.connected;
+        this.connected = false;
+        if (!wasConnected) {
+          reject(new Error(`Satori连接在就绪前关闭: ${code}`));
+        }
+        if (!this.closing) {
+          this.reconnect();
+        }
+      });
+      
+      this.ws.on('error', (error) => {
+        logger.error('Satori连接错误:', error);
+      });
+    });
+  }
+
+  /**
+   * 定时发送 PING，保持连接
+   */
+  startHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = setInterval(() => {
+      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this.ws.send(JSON.stringify({ op: OP.PING }));
+      }
+    }, this.options.heartbeat || 10000);
+  }
+
+  /**
+   * 处理 READY 信令，选择配置的账号，未配置时使用第一个登录的账号
+   * 返回是否找到了账号
+   */
+  handleReady(body) {
+    const logins = body.logins || [];
+    const login = logins.find(item => {
+      const id = getLoginId(item);
+      return (!this.options.selfId || String(this.options.selfId) === id) &&
+        (!this.options.platform || this.options.platform === item.platform);
+    });
+    if (!login) {
+      logger.warn(`Satori协议端没有匹配的登录账号，共 ${logins.length} 个`);
+      return false;
+    }
+    
+    this.platform = login.platform;
+    this.selfId = getLoginId(login);
+    this.connected = true;
+    this.reconnectAttempts = 0;
+    logger.info(`Satori连接已就绪，平台: ${this.platform}，账号: ${this.selfId}`);
+    this.flushOfflineQueue();
+    this.dispatch({
+      post_type: 'meta_event',
+      meta_event_type: 'lifecycle',
+      sub_type: 'connect',
+      time: Math.floor(Date.now() / 1000),
+      self_id: toNumberId(this.selfId)
+    });
+    return true;
+  }
+
+  /**
+   * 处理事件，只处理当前账号的事件
+   */
+  handleEvent(body) {
+    const sn = body.sn !== undefined ? body.sn : body.id;
+    if (sn !== undefined) {
+      this.sequence = sn;
+    }
+    
+    const selfId = body.self_id || (body.login && getLoginId(body.login));
+    if (selfId && this.selfId && String(selfId) !== this.selfId) {
+      return;
+    }
+    this.dispatch(this.normalizeEvent(body));
+  }
+
+  /**
+   * 将 Satori 事件转换为 OneBot v11 格式，返回null表示忽略
+   */
+  normalizeEvent(body) {
+    const base = {
+      time: Math.floor((body.timestamp || Date.now()) / 1000),
+      self_id: toNumberId(this.selfId)
+    };
+    const user = body.user || {};
+    const channel = body.channel || {};
+    const message = body.message || {};
+    const isGroup = Boolean(body.guild) && channel.type !== CHANNEL_DIRECT;
+    const groupId = isGroup ? toNumberId(body.guild.id) : undefined;
+    const operatorId = body.operator ? toNumberId(body.operator.id) : undefined;
+    
+    if (message.id && channel.id) {
+      this.rememberMessage(message.id, channel.id);
+    }
+    if (isGroup && channel.id) {
+      this.groupChannels.set(String(groupId), channel.id);
+    } else if (user.id && channel.id) {
+      this.privateChannels.set(String(user.id), channel.id);
+    }
+    
+    switch (body.type) {
+      case 'message-created': {
+        // 自己发送的消息也会推送，忽略以免插件响应自己
+        if (String(user.id) === this.selfId) {
+          return null;
+        }
+        const content = parseContent(message.content || '');
+        const member = body.member || {};
+        return {
+          ...base,
+          post_type: 'message',
+          message_type: isGroup ? 'group' : 'private',
+          sub_type: isGroup ? 'normal' : 'friend',
+          message_id: toNumberId(message.id),
+          user_id: toNumberId(user.id),
+          group_id: groupId,
+          message: content,
+          raw_message: segment.stringify(content),
+          sender: {
+            user_id: toNumberId(user.id),
+            nickname: user.name || user.nick || '',
+            card: member.nick || member.name || '',
+            role: 'member'
+          }
+        };
+      }
+      case 'message-deleted':
+        return {
+          ...base,
+          post_type: 'notice',
+          notice_type: isGroup ? 'group_recall' : 'friend_recall',
+          message_id: toNumberId(message.id),
+          user_id: toNumberId(user.id),
+          group_id: groupId,
+          operator_id: operatorId
+        };
+      case 'guild-member-added':
+        return {
+          ...base,
+          post_type: 'notice',
+          notice_type: 'group_increase',
+          sub_type: 'approve',
+          group_id: groupId,
+          user_id: toNumberId(user.id),
+          operator_id: operatorId
+        };
+      case 'guild-member-removed': {
+        let subType = 'leave';
+        if (String(user.id) === this.selfId) {
+          subType = 'kick_me';
+        } else if (body.operator && body.operator.id !== user.id) {
+          subType = 'kick';
+        }
+        return {
+          ...base,
+          post_type: 'notice',
+          notice_type: 'group_decrease',
+          sub_type: subType,
+          group_id: groupId,
+          user_id: toNumberId(user.id),
+          operator_id: operatorId
+        };
+      }
+      case 'friend-request':
+        return {
+          ...base,
+          post_type: 'request',
+          request_type: 'friend',
+          user_id: toNumberId(user.id),
+          comment: message.content || '',
+          flag: message.id
+        };
+      case 'guild-member-request':
+      case 'guild-request':
+        return {
+          ...base,
+          post_type: 'request',
+          request_type: 'group',
+          sub_type: body.type === 'guild-request' ? 'invite' : 'add',
+          group_id: toNumberId(body.guild && body.guild.id),
+          user_id: toNumberId(user.id),
+          comment: message.content || '',
+          flag: message.id
+        };
+      default:
+        logger.debug(`忽略Satori事件: ${body.type}`);
+        return null;
+    }
+  }
+
+  /**
+   * 记录消息所在的频道，超过上限时丢弃最早的记录
+   */
+  rememberMessage(messageId, channelId) {
+    this.messageChannels.set(String(messageId), channelId);
+    if (this.messageChannels.size > MESSAGE_CACHE_SIZE) {
+      this.messageChannels.delete(this.messageChannels.keys().next().value);
+    }
+  }
+
+  /**
+   * 将 OneBot v11 动作转换为 Satori API 调用
+   */
+  async sendNow(action, params) {
+    switch (action) {
+      case 'send_private_msg':
+        return this.createMessage(await this.getPrivateChannel(params.user_id), encodeContent(params.message), action);
+      case 'send_group_msg':
+        return this.createMessage(this.getGroupChannel(params.group_id), encodeContent(params.message), action);
+      case 'send_msg':
+        return params.message_type === 'group' || (!params.message_type && params.group_id)
+          ? this.sendNow('send_group_msg', params)
+          : this.sendNow('send_private_msg', params);
+      case 'send_private_forward_msg':
+        return this.createMessage(await this.getPrivateChannel(params.user_id), encodeForward(params.messages), action);
+      case 'send_group_forward_msg':
+        return this.createMessage(this.getGroupChannel(params.group_id), encodeForward(params.messages), action);
+      case 'delete_msg':
+        await this.request('message.delete', {
+          channel_id: this.getMessageChannel(params.message_id, action),
+          message_id: String(params.message_id)
+        }, action);
+        return null;
+      case 'get_msg':
+        return this.getMessage(params.message_id, action);
+      case 'get_login_info': {
+        const login = await this.request('login.get', {}, action);
+        return { user_id: toNumberId(getLoginId(login)), nickname: (login.user && login.user.name) || '' };
+      }
+      case 'get_stranger_info':
+        return toV11User(await this.request('user.get', { user_id: String(params.user_id) }, action));
+      case 'get_friend_list':
+        return (await this.requestAll('friend.list', {}, action)).map(toV11User);
+      case 'get_group_info':
+        return toV11Group(await this.request('guild.get', { guild_id: String(params.group_id) }, action));
+      case 'get_group_list':
+        return (await this.requestAll('guild.list', {}, action)).map(toV11Group);
+      case 'get_group_member_info': {
+        const member = await this.request('guild.member.get', {
+          guild_id: String(params.group_id),
+          user_id: String(params.user_id)
+        }, action);
+        return toV11Member(member, params.group_id);
+      }
+      case 'get_group_member_list': {
+        const members = await this.requestAll('guild.member.list', { guild_id: String(params.group_id) }, action);
+        return members.map(member => toV11Member(member, params.group_id));
+      }
+      case 'set_group_kick':
+        return this.request('guild.member.kick', {
+          guild_id: String(params.group_id),
+          user_id: String(params.user_id),
+          permanent: Boolean(params.reject_add_request)
+        }, action);
+      case 'set_group_ban':
+        // Satori 的禁言时长单位为毫秒
+        return this.request('guild.member.mute', {
+          guild_id: String(params.group_id),
+          user_id: String(params.user_id),
+          duration: (params.duration || 0) * 1000
+        }, action);
+      case 'set_friend_add_request':
+        return this.request('friend.approve', {
+          message_id: String(params.flag),
+          approve: params.approve !== false,
+          comment: params.remark || ''
+        }, action);
+      case 'set_group_add_request':
+        return this.request((params.sub_type || params.type) === 'invite' ? 'guild.approve' : 'guild.member.approve', {
+          message_id: String(params.flag),
+          approve: params.approve !== false,
+          comment: params.reason || ''
+        }, action);
+      default:
+        throw new ApiError(action, 1404, 'Satori 协议不支持该操作');
+    }
+  }
+
+  /**
+   * 发送消息，返回 OneBot v11 格式的 { message_id }
+   */
+  async createMessage(channelId, content, action) {
+    const messages = await this.request('message.create', { channel_id: channelId, content }, action);
+    const sent = (messages || [])[0];
+    if (!sent) {
+      return { message_id: null };
+    }
+    this.rememberMessage(sent.id, channelId);
+    return { message_id: toNumberId(sent.id) };
+  }
+
+  /**
+   * 获取消息，转换为 get_msg 的返回格式
+   */
+  async getMessage(messageId, action) {
+    const channelId = this.getMessageChannel(messageId, action);
+    const message = await this.request('message.get', { channel_id: channelId, message_id: String(messageId) }, action);
+    const content = parseContent(message.content || '');
+    const user = message.user || {};
+    return {
+      message_id: toNumberId(message.id),
+      time: Math.floor((message.created_at || Date.now()) / 1000),
+      message_type: message.guild ? 'group' : 'private',
+      group_id: message.guild ? toNumberId(message.guild.id) : undefined,
+      sender: { user_id: toNumberId(user.id), nickname: user.name || '' },
+      message: content,
+      raw_message: segment.stringify(content)
+    };
+  }
+
+  /**
+   * 获取与用户的私聊频道，没有记录时向协议端创建
+   */
+  async getPrivateChannel(userId) {
+    const key = String(userId);
+    if (!this.privateChannels.has(key)) {
+      const channel = await this.request('user.channel.create', { user_id: key }, 'send_private_msg');
+      this.privateChannels.set(key, channel.id);
+    }
+    return this.privateChannels.get(key);
+  }
+
+  /**
+   * 获取群对应的频道，QQ群的频道ID与群号相同
+   */
+  getGroupChannel(groupId) {
+    return this.groupChannels.get(String(groupId)) || String(groupId);
+  }
+
+  /**
+   * 获取消息所在的频道，只能找到收到或发送过的消息
+   */
+  getMessageChannel(messageId, action) {
+    const channelId = this.messageChannels.get(String(messageId));
+    if (!channelId) {
+      throw new ApiError(action, 1404, `找不到消息所在的频道: ${messageId}`);
+    }
+    return channelId;
+  }
+
+  /**
+   * 调用 Satori API
+   */
+  async request(method, body, action) {
+    if (this.closing) {
+      throw new NotConnectedError(action, '适配器已关闭');
+    }
+    
+    const headers = {};
+    if (this.platform) {
+      // X- 开头的请求头用于兼容 Satori v1.0
+      Object.assign(headers, {
+        'Satori-Platform': this.platform,
+        'Satori-User-ID': this.selfId,
+        'X-Platform': this.platform,
+        'X-Self-ID': this.selfId
+      });
+    }
+    if (this.options.token) {
+      headers.Authorization = `Bearer ${this.options.token}`;
+    }
+    
+    let response;
+    try {
+      response = await axios.post(`${this.apiBase}/${method}`, body, {
+        headers,
+        timeout: this.config.timeout || 30000,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        throw new ApiTimeoutError(action);
+      }
+      throw new NotConnectedError(action, error.message);
+    }
+    
+    if (response.status >= 200 && response.status < 300) {
+      return response.data;
+    }
+    const message = (response.data && response.data.message) || `HTTP ${response.status}`;
+    throw new ApiError(action, response.status, `${method} ${message}`);
+  }
+
+  /**
+   * 调用分页 API，合并所有页的数据
+   */
+  async requestAll(method, body, action) {
+    const items = [];
+    let next;
+    do {
+      const page = await this.request(method, next ? { ...body, next } : body, action);
+      items.push(...((page && page.data) || []));
+      next = page && page.next;
+    } while (next);
+    return items;
+  }
+
+  /**
+   * 断开连接
+   */
+  async disconnect() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+    await super.disconnect();
+  }
+}
+
+/**
+ * 登录信息中的账号ID，Satori v1.1 起位于 user.id
+ */
+function getLoginId(login) {
+  const id = login.user ? login.user.id : login.self_id;
+  return id === undefined || id === null ? null : String(id);
+}
+
+/**
+ * 转义 Satori 消息元素中的文本和属性
+ */
+function escapeXml(text) {
+  return XML_ESCAPES.reduce((str, [char, entity]) => str.split(char).join(entity), String(text));
+}
+
+/**
+ * 反转义 Satori 消息元素中的文本和属性，&amp; 最后处理
+ */
+function unescapeXml(text) {
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 媒体文件转换为 src 属性，base64 数据转换为 data URL
+ */
+function toSrc(file, mime) {
+  const str = segment.resolveFile(file);
+  return str.startsWith('base64://') ? `data:${mime};base64,${str.slice('base64://'.length)}` : str;
+}
+
+/**
+ * 将 OneBot v11 消息转换为 Satori 消息元素
+ */
+function encodeContent(message) {
+  return segment.normalize(message).map(seg => {
+    const data = seg.data || {};
+    if (seg.type === 'text') {
+      return escapeXml(data.text);
+    }
+    if (seg.type === 'at') {
+      return data.qq === 'all' ? '<at type="all"/>' : `<at id="${escapeXml(data.qq)}"/>`;
+    }
+    if (seg.type === 'reply') {
+      return `<quote id="${escapeXml(data.id)}"/>`;
+    }
+    if (seg.type === 'face') {
+      return `<face id="${escapeXml(data.id)}"/>`;
+    }
+    if (MEDIA_ELEMENTS[seg.type]) {
+      const [tag, mime] = MEDIA_ELEMENTS[seg.type];
+      return `<${tag} src="${escapeXml(toSrc(data.file, mime))}"/>`;
+    }
+    logger.debug(`Satori 不支持的消息段已忽略: ${seg.type}`);
+    return '';
+  }).join('');
+}
+
+/**
+ * 将合并转发节点转换为 Satori 的转发消息元素
+ */
+function encodeForward(nodes) {
+  const children = (nodes || []).map(node => {
+    const data = node.data || {};
+    const content = data.content || [];
+    const body = content.length > 0 && content.every(seg => seg.type === 'node')
+      ? encodeForward(content)
+      : encodeContent(content);
+    return `<message><author id="${escapeXml(data.uin || '')}" name="${escapeXml(data.name || '')}"/>${body}</message>`;
+  });
+  return `<message forward>${children.join('')}</message>`;
+}
+
+/**
+ * 解析元素属性
+ */
+function parseAttrs(str) {
+  const attrs = {};
+  ATTR_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = ATTR_PATTERN.exec(str)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3];
+    attrs[match[1]] = value === undefined ? true : unescapeXml(value);
+  }
+  return attrs;
+}
+
+/**
+ * 将 Satori 消息元素解析为 OneBot v11 消息段
+ * 引用元素内嵌的原消息内容不计入，未知元素只保留其中的文本
+ */
+function parseContent(content) {
+  const segments = [];
+  const pushText = (text) => {
+    if (!text) return;
+    const last = segments[segments.length - 1];
+    if (last && last.type === 'text') {
+      last.data.text += text;
+    } else {
+      segments.push(segment.text(text));
+    }
+  };
+  
+  let quoteDepth = 0;
+  let lastIndex = 0;
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(content)) !== null) {
+    if (quoteDepth === 0) {
+      pushText(unescapeXml(content.slice(lastIndex, match.index)));
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+    
+    const [, closing, tag, attrStr, selfClosing] = match;
+    const name = tag.toLowerCase();
+    if (closing) {
+      if (name === 'quote' && quoteDepth > 0) quoteDepth--;
+      continue;
+    }
+    if (quoteDepth > 0) {
+      if (name === 'quote' && !selfClosing) quoteDepth++;
+      continue;
+    }
+    
+    const attrs = parseAttrs(attrStr);
+    switch (name) {
+      case 'at':
+        segments.push(attrs.type === 'all' ? segment.at('all') : segment.at(attrs.id, attrs.name));
+        break;
+      case 'img':
+      case 'image':
+        segments.push({ type: 'image', data: { file: attrs.src, url: attrs.src } });
+        break;
+      case 'audio':
+        segments.push({ type: 'record', data: { file: attrs.src } });
+        break;
+      case 'video':
+        segments.push({ type: 'video', data: { file: attrs.src } });
+        break;
+      case 'file':
+        segments.push({ type: 'file', data: { file: attrs.src, name: attrs.title } });
+        break;
+      case 'face':
+        segments.push(segment.face(attrs.id));
+        break;
+      case 'quote':
+        if (attrs.id) segments.push(segment.reply(attrs.id));
+        if (!selfClosing) quoteDepth++;
+        break;
+      case 'br':
+        pushText('\n');
+        break;
+      case 'sharp':
+        pushText(`#${attrs.name || attrs.id}`);
+        break;
+      default:
+        break;
+    }
+  }
+  if (quoteDepth === 0) {
+    pushText(unescapeXml(content.slice(lastIndex)));
+  }
+  return segments;
+}
+
+/**
+ * Satori 用户转换为 OneBot v11 格式
+ */
+function toV11User(user) {
+  const info = user.user || user;
+  return { user_id: toNumberId(info.id), nickname: info.name || info.nick || '', remark: user.nick || '' };
+}
+
+/**
+ * Satori 群组转换为 OneBot v11 格式
+ */
+function toV11Group(guild) {
+  return { group_id: toNumberId(guild.id), group_name: guild.name || '' };
+}
+
+/**
+ * Satori 群成员转换为 OneBot v11 格式，Satori 不提供群角色，默认为普通成员
+ */
+function toV11Member(member, groupId) {
+  const user = member.user || {};
+  return {
+    group_id: toNumberId(groupId),
+    user_id: toNumberId(user.id),
+    nickname: user.name || '',
+    card: member.nick || member.name || '',
+    role: 'member',
+    join_time: member.joined_at ? Math.floor(member.joined_at / 1000) : undefined
+  };
+}
+
+module.exports = { SatoriAdapter };
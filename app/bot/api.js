@@ -0,0 +1,162 @@
+const path = require('path');
+const segment = require('./segment');
+
+/**
+ * OneBot v11 / go-cqhttp 标准API的封装方法
+ * 以混入方式挂载到 Bot 上，依赖宿主实现 callApi(action, params)
+ * 调用失败时抛出 ApiError（带 retcode）或 ApiTimeoutError
+ */
+const apiMethods = {
+  /**
+   * 撤回消息
+   */
+  async deleteMsg(messageId) {
+    await this.callApi('delete_msg', { message_id: messageId });
+    return true;
+  },
+
+  /**
+   * 获取消息，message 统一为消息段数组
+   */
+  async getMsg(messageId) {
+    const data = await this.callApi('get_msg', { message_id: messageId });
+    if (!data) return null;
+    return {
+      ...data,
+      message: segment.normalize(data.message),
+      raw_message: data.raw_message || segment.stringify(data.message)
+    };
+  },
+
+  /**
+   * 发送群合并转发消息，messages 为 node 消息段数组
+   */
+  async sendGroupForwardMsg(groupId, messages) {
+    return this.callApi('send_group_forward_msg', { group_id: groupId, messages });
+  },
+
+  /**
+   * 发送私聊合并转发消息
+   */
+  async sendPrivateForwardMsg(userId, messages) {
+    return this.callApi('send_private_forward_msg', { user_id: userId, messages });
+  },
+
+  /**
+   * 群禁言，duration 为秒，0 表示解除禁言
+   */
+  async setGroupBan(groupId, userId, duration = 30 * 60) {
+    await this.callApi('set_group_ban', { group_id: groupId, user_id: userId, duration });
+    return true;
+  },
+
+  /**
+   * 全员禁言
+   */
+  async setGroupWholeBan(groupId, enable = true) {
+    await this.callApi('set_group_whole_ban', { group_id: groupId, enable });
+    return true;
+  },
+
+  /**
+   * 踢出群成员
+   */
+  async setGroupKick(groupId, userId, rejectAddRequest = false) {
+    await this.callApi('set_group_kick', {
+      group_id: groupId,
+      user_id: userId,
+      reject_add_request: rejectAddRequest
+    });
+    return true;
+  },
+
+  /**
+   * 设置群名片，card 为空时删除群名片
+   */
+  async setGroupCard(groupId, userId, card = '') {
+    await this.callApi('set_group_card', { group_id: groupId, user_id: userId, card });
+    return true;
+  },
+
+  /**
+   * 获取登录号信息
+   */
+  async getLoginInfo() {
+    return this.callApi('get_login_info');
+  },
+
+  /**
+   * 获取群列表
+   */
+  async getGroupList() {
+    return (await this.callApi('get_group_list')) || [];
+  },
+
+  /**
+   * 获取群信息
+   */
+  async getGroupInfo(groupId, noCache = false) {
+    return this.callApi('get_group_info', { group_id: groupId, no_cache: noCache });
+  },
+
+  /**
+   * 获取群成员信息
+   */
+  async getGroupMemberInfo(groupId, userId, noCache = false) {
+    return this.callApi('get_group_member_info', { group_id: groupId, user_id: userId, no_cache: noCache });
+  },
+
+  /**
+   * 获取群成员列表
+   */
+  async getGroupMemberList(groupId, noCache = false) {
+    return (await this.callApi('get_group_member_list', { group_id: groupId, no_cache: noCache })) || [];
+  },
+
+  /**
+   * 获取好友列表
+   */
+  async getFriendList() {
+    return (await this.callApi('get_friend_list')) || [];
+  },
+
+  /**
+   * 获取陌生人信息
+   */
+  async getStrangerInfo(userId, noCache = false) {
+    return this.callApi('get_stranger_info', { user_id: userId, no_cache: noCache });
+  },
+
+  /**
+   * 上传群文件，file 为本地文件路径（协议端需能访问该路径）
+   */
+  async uploadGroupFile(groupId, file, name, folder) {
+    const params = {
+      group_id: groupId,
+      file: path.resolve(file),
+      name: name || path.basename(file)
+    };
+    if (folder) params.folder = folder;
+    
+    await this.callApi('upload_group_file', params);
+    return true;
+  },
+
+  /**
+   * 处理加好友请求
+   */
+  async setFriendAddRequest(flag, approve = true, remark = '') {
+    await this.callApi('set_friend_add_request', { flag, approve, remark });
+    return true;
+  },
+
+  /**
+   * 处理加群请求或邀请，subType 为 add 或 invite
+   */
+  async setGroupAddRequest(flag, subType, approve = true, reason = '') {
+    await this.callApi('set_group_add_request', { flag, sub_type: subType, type: subType, approve, reason });
+    return true;
+  }
+};
+
+module.exports = { apiMethods };
@@ -0,0 +1,45 @@
+/**
+ * 协议端API调用失败，retcode 为协议端返回的错误码
+ */
+class ApiError extends Error {
+  constructor(action, retcode, message) {
+    super(`API调用失败(${action}): ${message || '未知错误'}`);
+    this.name = 'ApiError';
+    this.action = action;
+    this.retcode = retcode;
+  }
+}
+
+/**
+ * API调用超时，协议端可能已经执行了该操作
+ */
+class ApiTimeoutError extends ApiError {
+  constructor(action) {
+    super(action, null, '调用超时');
+    this.name = 'ApiTimeoutError';
+  }
+}
+
+/**
+ * 请求已发出但连接在收到响应前断开，协议端可能已经执行了该操作
+ */
+class ConnectionClosedError extends Error {
+  constructor(action) {
+    super(`连接已断开，请求未收到响应: ${action}`);
+    this.name = 'ConnectionClosedError';
+    this.action = action;
+  }
+}
+
+/**
+ * 适配器未连接且请求无法继续等待（缓冲队列已满、等待超时或适配器已关闭）
+ */
+class NotConnectedError extends Error {
+  constructor(action, reason) {
+    super(`适配器未连接(${action}): ${reason}`);
+    this.name = 'NotConnectedError';
+    this.action = action;
+  }
+}
+
+module.exports = { ApiError, ApiTimeoutError, ConnectionClosedError, NotConnectedError };
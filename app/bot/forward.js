@@ -0,0 +1,81 @@
+const segment = require('./segment');
+
+/**
+ * 合并转发消息
+ * makeForwardMsg 返回的对象可直接传给 sendGroupMsg / sendPrivateMsg / e.reply
+ */
+const FORWARD_TYPE = 'forward_nodes';
+
+/**
+ * 构建合并转发消息
+ * msgs 的每一项可以是字符串、消息段（数组），或 { message, nickname, user_id, time }
+ * message 本身也可以是另一条合并转发消息，用于嵌套转发
+ */
+function makeForwardMsg(msgs, { nickname, userId } = {}) {
+  const list = Array.isArray(msgs) ? msgs : [msgs];
+  
+  const nodes = list.map(item => {
+    const isDetailed = item && typeof item === 'object' && !Array.isArray(item) && item.message !== undefined;
+    const message = isDetailed ? item.message : item;
+    
+    const data = {
+      name: String((isDetailed && item.nickname) || nickname || ''),
+      uin: String((isDetailed && item.user_id) || userId || ''),
+      content: isForwardMsg(message) ? message.nodes : segment.normalize(message)
+    };
+    if (isDetailed && item.time) {
+      data.time = item.time;
+    }
+    return { type: 'node', data };
+  });
+  
+  return { type: FORWARD_TYPE, nodes };
+}
+
+/**
+ * 判断是否为合并转发消息
+ */
+function isForwardMsg(message) {
+  return Boolean(message && message.type === FORWARD_TYPE && Array.isArray(message.nodes));
+}
+
+/**
+ * 将合并转发消息展开为CQ码文本块，协议端不支持合并转发时使用
+ * 每块不超过 chunkSize 个字符，单个节点超长时单独成块
+ */
+function toPlainChunks(forward, chunkSize = 1500) {
+  const blocks = flattenNodes(forward.nodes).map(({ name, content }) => {
+    const body = segment.stringify(content);
+    return name ? `${segment.escape(name)}:\n${body}` : body;
+  });
+  
+  const chunks = [];
+  let current = '';
+  for (const block of blocks) {
+    if (current && current.length + block.length + 2 > chunkSize) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${block}` : block;
+  }
+  if (current) {
+    chunks.push(current);
+  }
+  
+  return chunks;
+}
+
+/**
+ * 递归展开嵌套的转发节点
+ */
+function flattenNodes(nodes) {
+  return nodes.flatMap(node => {
+    const content = node.data.content || [];
+    if (content.length > 0 && content.every(seg => seg.type === 'node')) {
+      return flattenNodes(content);
+    }
+    return [{ name: node.data.name, content }];
+  });
+}
+
+module.exports = { makeForwardMsg, isForwardMsg, toPlainChunks };
@@ -1,22 +1,34 @@
+const fs = require('fs');
+const path = require('path');
 const { EventEmitter } = require('events');
-const { Adapter } = require('./adapter');
+const { Account } = require('./account');
 const { MessageProcessor } = require('./message');
+const { Permission } = require('./permission');
+const { RateLimiter } = require('./ratelimit');
+const { apiMethods } = require('./api');
+const { NotConnectedError } = require('./errors');
 const { PluginManager } = require('../plugin/manager');
 const { logger } = require('../utils/logger');
 const { Database } = require('../db');
-const { Redis } = require('../db/redis');
+const { createCache } = require('../cache');
+
+// 机器人版本，插件包按此检查兼容性
+const VERSION = readVersion();
 
 class Bot extends EventEmitter {
   constructor(config) {
     super();
     this.config = config;
-    this.adapter = null;         // 协议适配器
+    this.version = VERSION;      // 机器人版本
+    this.connections = [];       // 配置中的全部账号连接
+    this.accounts = new Map();   // QQ号 -> 账号，协议端上报QQ号后登记
     this.messageProcessor = null; // 消息处理器
     this.pluginManager = null;   // 插件管理器
     this.db = null;              // 数据库实例
-    this.redis = null;           // Redis实例
+    this.redis = null;           // 缓存，Redis或内置缓存
     this.status = 'initialized'; // 机器人状态
-    this.selfId = null;          // 机器人自身QQ号
+    this.permission = new Permission(this); // 权限系统
+    this.rateLimiter = new RateLimiter(this); // 限流与冷却
   }
 
   /**
@@ -30,9 +42,8 @@ class Bot extends EventEmitter {
       this.db = new Database(this.config.database);
       await this.db.connect();
       
-      // 初始化Redis
-      this.redis = new Redis(this.config.redis);
-      await this.redis.connect();
+      // 初始化缓存，Redis不可用时按配置退回内置缓存
+      this.redis = await createCache(this.config);
       
       // 初始化插件管理器
       this.pluginManager = new PluginManager(this);
@@ -41,11 +52,10 @@ class Bot extends EventEmitter {
       // 初始化消息处理器
       this.messageProcessor = new MessageProcessor(this);
       
-      // 初始化协议适配器
-      this.adapter = new Adapter(this, this.config.adapter);
-      this.adapter.on('message', (data) => this.handleMessage(data));
-      this.adapter.on('event', (data) => this.handleEvent(data));
-      this.adapter.on('self-id', (id) => this.selfId = id);
+      // 初始化各账号的协议适配器
+      for (const [index, connection] of this.getConnectionConfigs().entries()) {
+        this.addConnection(connection.name || `account${index + 1}`, connection);
+      }
       
       this.status = 'initialized';
       logger.info('机器人组件初始化完成');
@@ -62,8 +72,16 @@ class Bot extends EventEmitter {
     try {
       this.status = 'starting';
       
-      // 启动适配器（连接到协议端）
-      await this.adapter.connect();
+      // 启动适配器（连接到协议端），部分账号连接失败不影响其他账号
+      const results = await Promise.allSettled(this.connections.map(account => account.connect()));
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          logger.error(`账号连接 ${this.connections[index].name} 启动失败:`, result.reason);
+        }
+      });
+      if (results.every(result => result.status === 'rejected')) {
+        throw new Error('所有账号连接均启动失败');
+      }
       
       // 加载插件
       await this.pluginManager.loadPlugins();
@@ -81,12 +99,122 @@ class Bot extends EventEmitter {
   }
 
   /**
-   * 处理收到的消息
+   * 多账号连接配置，connections 中的每项覆盖 adapter 中的默认值，未配置 connections 时只使用 adapter
+   */
+  getConnectionConfigs() {
+    const base = this.config.adapter || {};
+    const connections = this.config.connections || [];
+    if (connections.length === 0) {
+      return [{ name: 'default', ...base }];
+    }
+    
+    return connections.map(connection => {
+      const merged = { ...base, ...connection };
+      for (const key of ['ws', 'wsReverse', 'http', 'satori', 'offlineQueue']) {
+        merged[key] = { ...base[key], ...connection[key] };
+      }
+      return merged;
+    });
+  }
+
+  /**
+   * 创建账号连接，消息和事件从哪条连接收到就从哪条连接回复
+   */
+  addConnection(name, config) {
+    const account = new Account(this, name, config);
+    // 部分协议端不发送生命周期事件，从上报的 self_id 中登记QQ号
+    account.adapter.on('message', (data) => {
+      this.registerAccount(account, data.self_id);
+      this.handleMessage(data, account);
+    });
+    account.adapter.on('event', (data) => {
+      this.registerAccount(account, data.self_id);
+      this.handleEvent(data, account);
+    });
+    account.adapter.on('self-id', (id) => this.registerAccount(account, id));
+    account.on('dead-letter', (letter) => this.emit('dead-letter', { ...letter, selfId: account.selfId }));
+    
+    this.connections.push(account);
+    return account;
+  }
+
+  /**
+   * 登记账号的QQ号，兼容云崽的 Bot[uin] 写法
+   */
+  registerAccount(account, selfId) {
+    const id = Number(selfId);
+    if (!id || account.selfId === id) {
+      return;
+    }
+    
+    if (account.selfId) {
+      this.accounts.delete(account.selfId);
+      delete this[account.selfId];
+    }
+    account.selfId = id;
+    this.accounts.set(id, account);
+    this[id] = account;
+    logger.info(`账号已上线: ${id}（连接 ${account.name}）`);
+    
+    // 获取昵称，用于合并转发等场景
+    account.getLoginInfo()
+      .then(info => { account.nickname = (info && info.nickname) || ''; })
+      .catch(error => logger.debug(`获取账号 ${id} 的登录信息失败: ${error.message}`));
+    this.emit('account-online', account);
+  }
+
+  /**
+   * 获取账号，不指定QQ号时返回默认账号（第一个在线的账号）
+   * 指定的QQ号不存在时返回null
+   */
+  getAccount(selfId = null) {
+    if (selfId !== null && selfId !== undefined) {
+      return this.accounts.get(Number(selfId)) || null;
+    }
+    return this.connections.find(account => account.online) || this.connections[0] || null;
+  }
+
+  /**
+   * 获取所有在线账号
+   */
+  getOnlineAccounts() {
+    return this.connections.filter(account => account.online && account.selfId);
+  }
+
+  /**
+   * 默认账号的QQ号
+   */
+  get selfId() {
+    const account = this.getAccount();
+    return account ? account.selfId : null;
+  }
+
+  /**
+   * 默认账号的适配器
    */
-  async handleMessage(message) {
+  get adapter() {
+    const account = this.getAccount();
+    return account ? account.adapter : null;
+  }
+
+  /**
+   * 获取默认账号，没有可用账号时抛出错误
+   */
+  requireAccount(action) {
+    const account = this.getAccount();
+    if (!account) {
+      throw new NotConnectedError(action, '没有可用的账号连接');
+    }
+    return account;
+  }
+
+  /**
+   * 处理收到的消息，account 为收到消息的账号
+   */
+  async handleMessage(message, account = this.getAccount()) {
     try {
       logger.debug('收到消息:', JSON.stringify(message));
-      await this.messageProcessor.process(message);
+      await this.messageProcessor.process(message, account);
     } catch (error) {
       logger.error('处理消息时出错:', error);
     }
@@ -95,51 +223,70 @@ class Bot extends EventEmitter {
   /**
    * 处理收到的事件
    */
-  async handleEvent(event) {
+  async handleEvent(event, account = this.getAccount()) {
     try {
       logger.debug('收到事件:', JSON.stringify(event));
       this.emit('event', event);
       // 通知插件有事件发生
-      await this.pluginManager.handleEvent(event);
+      await this.pluginManager.handleEvent(event, account);
     } catch (error) {
       logger.error('处理事件时出错:', error);
     }
   }
 
   /**
-   * 发送私聊消息
+   * 通过默认账号调用协议端API，失败时抛出带 retcode 的 ApiError
+   */
+  async callApi(action, params = {}) {
+    return this.requireAccount(action).callApi(action, params);
+  }
+
+  /**
+   * 通过默认账号发送私聊消息
    */
   async sendPrivateMsg(userId, message) {
-    return this.adapter.send('send_private_msg', {
-      user_id: userId,
-      message: this.formatMessage(message)
-    });
+    return this.requireAccount('send_private_msg').sendPrivateMsg(userId, message);
   }
 
   /**
-   * 发送群消息
+   * 私聊通知所有主人，发送失败只记录日志
+   */
+  async sendMasterMsg(message) {
+    for (const userId of this.config.masterQQ || []) {
+      try {
+        await this.sendPrivateMsg(Number(userId), message);
+      } catch (error) {
+        logger.warn(`通知主人 ${userId} 失败: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 通过默认账号发送群消息
    */
   async sendGroupMsg(groupId, message) {
-    return this.adapter.send('send_group_msg', {
-      group_id: groupId,
-      message: this.formatMessage(message)
-    });
+    return this.requireAccount('send_group_msg').sendGroupMsg(groupId, message);
+  }
+
+  /**
+   * 构建合并转发消息，兼容云崽的 Bot.makeForwardMsg
+   */
+  makeForwardMsg(msgs, options = {}) {
+    return this.requireAccount('make_forward_msg').makeForwardMsg(msgs, options);
+  }
+
+  /**
+   * 通过默认账号发送合并转发消息
+   */
+  async sendForwardMsg(type, targetId, forwardMsg) {
+    return this.requireAccount('send_forward_msg').sendForwardMsg(type, targetId, forwardMsg);
   }
 
   /**
    * 格式化消息，使其符合协议要求
    */
   formatMessage(message) {
-    // 如果是字符串，转换为CQ码格式
-    if (typeof message === 'string') {
-      return message;
-    }
-    // 如果是数组，直接返回
-    if (Array.isArray(message)) {
-      return message;
-    }
-    // 其他情况转换为字符串
-    return String(message);
+    return this.requireAccount('format_message').formatMessage(message);
   }
 
   /**
@@ -149,17 +296,21 @@ class Bot extends EventEmitter {
     this.status = 'stopping';
     logger.info('正在停止机器人...');
     
-    // 断开适配器连接
-    if (this.adapter) {
-      await this.adapter.disconnect();
+    // 取消插件定时任务和存储的定时清理
+    if (this.pluginManager) {
+      this.pluginManager.scheduler.shutdown();
+      this.pluginManager.storage.shutdown();
     }
     
+    // 断开所有账号的适配器连接
+    await Promise.all(this.connections.map(account => account.disconnect()));
+    
     // 关闭数据库连接
     if (this.db) {
       await this.db.disconnect();
     }
     
-    // 关闭Redis连接
+    // 关闭缓存连接
     if (this.redis) {
       await this.redis.disconnect();
     }
@@ -169,4 +320,20 @@ class Bot extends EventEmitter {
   }
 }
 
+// 挂载 OneBot v11 标准API封装方法，如 bot.deleteMsg、bot.getGroupList
+Object.assign(Bot.prototype, apiMethods);
+
+/**
+ * 从 package.json 读取版本号
+ * package.json 中带有注释，不能直接 require，只取出 version 字段
+ */
+function readVersion() {
+  const text = fs.readFileSync(path.join(__dirname, '..', '..', 'package.json'), 'utf8');
+  const match = text.match(/"version"\s*:\s*"([^"]+)"/);
+  if (!match) {
+    throw new Error('package.json 中没有 version 字段');
+  }
+  return match[1];
+}
+
 module.exports = { Bot };
@@ -1,5 +1,6 @@
 const { logger } = require('../utils/logger');
 const dayjs = require('dayjs');
+const segment = require('./segment');
 
 class MessageProcessor {
   constructor(bot) {
@@ -8,11 +9,11 @@ class MessageProcessor {
   }
 
   /**
-   * 处理消息
+   * 处理消息，account 为收到消息的账号
    */
-  async process(message) {
+  async process(message, account = this.bot.getAccount()) {
     // 创建消息上下文
-    const context = this.createContext(message);
+    const context = this.createContext(message, account);
     
     // 先触发全局消息事件
     this.bot.emit('message', context);
@@ -22,35 +23,51 @@ class MessageProcessor {
     if (commandInfo) {
       context.command = commandInfo.command;
       context.args = commandInfo.args;
+      context.commandPrefix = commandInfo.prefix;
       context.isCommand = true;
       this.bot.emit('command', context);
+      
+      // 超出频率限制的命令直接丢弃，会被会话截获的消息是对提问的回答，不计入限制
+      if (!this.bot.pluginManager.conversation.findSession(context)) {
+        const limit = await this.bot.rateLimiter.check(context);
+        if (!limit.allowed) {
+          await this.bot.rateLimiter.notify(context);
+          return;
+        }
+      }
     }
     
     // 交给插件处理
     const handled = await this.bot.pluginManager.handleMessage(context);
     
-    // 如果没有插件处理，且是命令消息，可以回复未知命令
-    if (!handled && context.isCommand) {
+    // 如果没有插件处理，且是带前缀的命令消息，可以回复未知命令
+    if (!handled && context.isCommand && context.commandPrefix) {
       await this.replyUnknownCommand(context);
     }
   }
 
   /**
-   * 创建消息上下文
+   * 创建消息上下文，回复通过收到消息的账号发送
    */
-  createContext(message) {
+  createContext(message, account = this.bot.getAccount()) {
     const isPrivate = message.message_type === 'private';
     const isGroup = message.message_type === 'group';
     
-    return {
+    // 无论协议端使用string还是array上报格式，统一转换为消息段数组
+    const segments = segment.normalize(message.message);
+    
+    const context = {
       bot: this.bot,
+      account,
       messageId: message.message_id,
       userId: message.user_id,
       groupId: isGroup ? message.group_id : null,
       messageType: message.message_type,
-      message: this.extractText(message),
-      rawMessage: message.raw_message,
-      messageArray: message.message,
+      subType: message.sub_type,
+      selfId: message.self_id || account.selfId,
+      message: this.extractText(segments),
+      rawMessage: message.raw_message || segment.stringify(segments),
+      messageArray: segments,
       sender: message.sender,
       time: dayjs(message.time * 1000),
       isPrivate,
@@ -58,43 +75,43 @@ class MessageProcessor {
       isCommand: false,
       command: null,
       args: [],
+      role: 'member',
+      isMaster: false,
+      isAdmin: false,
       
       // 回复消息的快捷方法
       reply: async (content) => {
         if (isPrivate) {
-          return this.bot.sendPrivateMsg(message.user_id, content);
+          return account.sendPrivateMsg(message.user_id, content);
         } else {
-          return this.bot.sendGroupMsg(message.group_id, content);
+          return account.sendGroupMsg(message.group_id, content);
         }
+      },
+      
+      // HTTP上报的快速操作，如 { reply: '你好', ban: true, ban_duration: 60 }，不支持或已响应时返回false
+      quickOperation: (operation) => {
+        return typeof message.quickOperation === 'function' ? message.quickOperation(operation) : false;
       }
     };
+    
+    // 发送者权限：主人来自配置，群主/管理员来自群角色
+    context.role = this.bot.permission.getRole(context);
+    context.isMaster = context.role === 'master';
+    context.isAdmin = context.role !== 'member';
+    
+    return context;
   }
 
   /**
-   * 从消息中提取纯文本
+   * 从消息段中提取纯文本，图片、表情、@等非文本内容不计入
    */
-  extractText(message) {
-    if (typeof message.message === 'string') {
-      return message.message;
-    }
-    
-    return message.message.map(item => {
-      if (item.type === 'text') {
-        return item.data.text;
-      }
-      // 处理其他类型的消息，如图片、表情等
-      if (item.type === 'image') {
-        return `[图片]`;
-      }
-      if (item.type === 'face') {
-        return `[表情:${item.data.id}]`;
-      }
-      return `[${item.type}]`;
-    }).join('');
+  extractText(segments) {
+    return segment.toText(segments).trim();
   }
 
   /**
    * 解析命令
+   * 多个前缀都匹配时使用最长的前缀；空前缀 '' 只用于已注册的命令，避免普通聊天内容被当作命令
    */
   parseCommand(text) {
     if (!text) return null;
@@ -102,13 +119,12 @@ class MessageProcessor {
     // 检查是否有命令前缀
     let prefix = null;
     for (const p of this.commandPrefix) {
-      if (text.startsWith(p)) {
+      if (text.startsWith(p) && (prefix === null || p.length > prefix.length)) {
         prefix = p;
-        break;
       }
     }
     
-    if (!prefix) return null;
+    if (prefix === null) return null;
     
     // 去除前缀
     const commandText = text.slice(prefix.length).trim();
@@ -119,6 +135,10 @@ class MessageProcessor {
     const command = parts[0];
     const args = parts.slice(1);
     
+    if (!prefix && !this.bot.pluginManager.commands.get(command)) {
+      return null;
+    }
+    
     return { command, args, prefix };
   }
 
@@ -126,6 +146,11 @@ class MessageProcessor {
    * 回复未知命令
    */
   async replyUnknownCommand(context) {
+    // 静默模式下不回复未知命令
+    if (this.bot.rateLimiter.quiet) {
+      return;
+    }
+    
     try {
       await context.reply(`未知命令: ${context.command}\n请输入 "#帮助" 查看可用命令`);
     } catch (error) {
@@ -0,0 +1,97 @@
+const { logger } = require('../utils/logger');
+
+// 权限等级，数值越大权限越高
+const LEVELS = {
+  all: 0,
+  member: 0,
+  admin: 1,
+  owner: 2,
+  master: 3
+};
+
+const LEVEL_NAMES = {
+  admin: '群管理员',
+  owner: '群主',
+  master: '主人'
+};
+
+/**
+ * 权限系统：主人来自配置，群主/管理员来自消息发送者的群角色
+ */
+class Permission {
+  constructor(bot) {
+    this.bot = bot;
+    this.config = bot.config.permission || {};
+  }
+
+  /**
+   * 判断是否为主人
+   */
+  isMaster(userId) {
+    const masters = (this.bot.config.masterQQ || []).map(String);
+    return userId !== undefined && userId !== null && masters.includes(String(userId));
+  }
+
+  /**
+   * 获取用户角色，同时兼容消息上下文（userId）与云崽事件对象（user_id）
+   */
+  getRole(target) {
+    const userId = target.userId !== undefined ? target.userId : target.user_id;
+    if (this.isMaster(userId)) {
+      return 'master';
+    }
+
+    const role = target.sender && target.sender.role;
+    if (role === 'owner' || role === 'admin') {
+      return role;
+    }
+    return 'member';
+  }
+
+  /**
+   * 检查是否满足权限等级，群主/管理员等级只在群聊中有效
+   */
+  check(target, level) {
+    if (!level) {
+      return true;
+    }
+    
+    const required = LEVELS[level];
+    if (required === undefined) {
+      logger.warn(`未知的权限等级: ${level}`);
+      return false;
+    }
+    return LEVELS[this.getRole(target)] >= required;
+  }
+
+  /**
+   * 权限不足时的回复内容，配置为空时不回复
+   */
+  getDeniedMessage(level) {
+    const template = this.config.deniedReply !== undefined
+      ? this.config.deniedReply
+      : '暂无权限，只有{level}才能操作';
+    if (!template) {
+      return null;
+    }
+    return template.replace('{level}', LEVEL_NAMES[level] || level);
+  }
+
+  /**
+   * 回复权限不足
+   */
+  async deny(target, level) {
+    const message = this.getDeniedMessage(level);
+    if (!message || typeof target.reply !== 'function') {
+      return;
+    }
+
+    try {
+      await target.reply(message);
+    } catch (error) {
+      logger.error('回复权限不足失败:', error);
+    }
+  }
+}
+
+module.exports = { Permission, LEVELS };
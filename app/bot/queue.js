@@ -0,0 +1,195 @@
+const { logger } = require('../utils/logger');
+const { ApiError, ApiTimeoutError, ConnectionClosedError } = require('./errors');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 发送队列：按发送目标排队，限制发送频率，失败时按退避策略重试
+ * 重试耗尽的消息记录为死信，可通过 getDeadLetters 查看
+ */
+class MessageQueue {
+  constructor(bot, config = {}) {
+    this.bot = bot;
+    this.config = {
+      enabled: true,
+      minInterval: 1000,     // 同一目标两次发送的最小间隔(ms)
+      maxPerSecond: 5,       // 全局每秒最多发送条数，0为不限制
+      retries: 3,            // 失败后的最大重试次数
+      retryDelay: 1000,      // 首次重试延迟(ms)，之后每次翻倍
+      retryRetcodes: [100],  // 可重试的retcode
+      retryUncertain: false, // 超时或断线时是否重试，协议端可能已经发出消息，重试可能重复发送
+      maxDeadLetters: 100,   // 最多保留的死信条数
+      ...config
+    };
+    this.queues = new Map();    // 目标 -> { items, running, lastSentAt }
+    this.sentTimestamps = [];   // 最近一秒内的发送时间，用于全局限速
+    this.deadLetters = [];
+  }
+
+  /**
+   * 将发送请求加入目标队列，消息真正发送成功（或最终失败）后返回的Promise才会结束
+   * retry 为false时只发送一次，失败由调用方处理（如合并转发失败后降级发送），不重试也不记录死信
+   */
+  push(target, action, params, { retry = true } = {}) {
+    if (!this.config.enabled) {
+      return this.bot.callApi(action, params);
+    }
+    
+    return new Promise((resolve, reject) => {
+      if (!this.queues.has(target)) {
+        this.queues.set(target, { items: [], running: false, lastSentAt: 0 });
+      }
+      
+      const queue = this.queues.get(target);
+      queue.items.push({ action, params, retry, resolve, reject });
+      if (!queue.running) {
+        this.drain(target);
+      }
+    });
+  }
+
+  /**
+   * 依次发送目标队列中的消息
+   */
+  async drain(target) {
+    const queue = this.queues.get(target);
+    queue.running = true;
+    
+    while (queue.items.length > 0) {
+      const item = queue.items.shift();
+      
+      try {
+        const result = await this.sendWithRetry(target, item, queue);
+        item.resolve(result);
+      } catch (error) {
+        item.reject(error);
+      }
+    }
+    
+    queue.running = false;
+    
+    // 空闲超过最小间隔后删除队列，在此之前保留以记录上次发送时间
+    const timer = setTimeout(() => {
+      if (!queue.running && queue.items.length === 0 && this.queues.get(target) === queue) {
+        this.queues.delete(target);
+      }
+    }, Math.max(0, queue.lastSentAt + this.config.minInterval - Date.now()));
+    timer.unref();
+  }
+
+  /**
+   * 发送单条消息，可重试的错误按指数退避重试
+   */
+  async sendWithRetry(target, item, queue) {
+    let attempts = 0;
+    
+    while (true) {
+      const wait = queue.lastSentAt + this.config.minInterval - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+      }
+      await this.acquireGlobalSlot();
+      
+      attempts++;
+      try {
+        queue.lastSentAt = Date.now();
+        return await this.bot.callApi(item.action, item.params);
+      } catch (error) {
+        if (!item.retry) {
+          throw error;
+        }
+        if (attempts > this.config.retries || !this.isRetryable(error)) {
+          this.addDeadLetter(target, item, error, attempts);
+          throw error;
+        }
+        
+        const delay = this.config.retryDelay * 2 ** (attempts - 1);
+        logger.warn(`发送到 ${target} 失败，${delay}ms 后第 ${attempts} 次重试: ${error.message}`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * 等待全局发送配额
+   */
+  async acquireGlobalSlot() {
+    const max = this.config.maxPerSecond;
+    if (!max) return;
+    
+    while (true) {
+      const now = Date.now();
+      this.sentTimestamps = this.sentTimestamps.filter(time => now - time < 1000);
+      if (this.sentTimestamps.length < max) {
+        this.sentTimestamps.push(now);
+        return;
+      }
+      await sleep(this.sentTimestamps[0] + 1000 - now);
+    }
+  }
+
+  /**
+   * 判断错误是否值得重试：未连接、配置中的retcode，以及开启 retryUncertain 时的超时和断线
+   */
+  isRetryable(error) {
+    // 请求已发出但没有收到响应，消息可能已经发出
+    if (error instanceof ApiTimeoutError || error instanceof ConnectionClosedError) {
+      return this.config.retryUncertain === true;
+    }
+    if (error instanceof ApiError) {
+      return this.config.retryRetcodes.includes(error.retcode);
+    }
+    // 其他错误（如未连接）请求没有发出，可以安全重试
+    return true;
+  }
+
+  /**
+   * 记录死信
+   */
+  addDeadLetter(target, item, error, attempts) {
+    const letter = {
+      target,
+      action: item.action,
+      params: item.params,
+      error: error.message,
+      retcode: error.retcode,
+      attempts,
+      failedAt: new Date()
+    };
+    
+    this.deadLetters.push(letter);
+    if (this.deadLetters.length > this.config.maxDeadLetters) {
+      this.deadLetters.shift();
+    }
+    
+    logger.error(`消息发送失败，已记录死信: ${target} (${item.action})`, error);
+    this.bot.emit('dead-letter', letter);
+  }
+
+  /**
+   * 获取死信列表
+   */
+  getDeadLetters() {
+    return [...this.deadLetters];
+  }
+
+  /**
+   * 清空死信
+   */
+  clearDeadLetters() {
+    this.deadLetters = [];
+  }
+
+  /**
+   * 获取队列状态
+   */
+  getStats() {
+    return {
+      activeTargets: [...this.queues.values()].filter(queue => queue.running).length,
+      pending: [...this.queues.values()].reduce((sum, queue) => sum + queue.items.length, 0),
+      deadLetters: this.deadLetters.length
+    };
+  }
+}
+
+module.exports = { MessageQueue };
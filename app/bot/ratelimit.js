@@ -0,0 +1,195 @@
+const { logger } = require('../utils/logger');
+
+const KEY_PREFIX = 'tianxin:ratelimit:';
+
+/**
+ * 消息限流与命令冷却
+ * 计数器优先保存在 bot.redis 中，Redis 不可用时退回到进程内存
+ */
+class RateLimiter {
+  constructor(bot) {
+    this.bot = bot;
+    this.config = bot.config.rateLimit || {};
+    this.memory = new Map(); // 键 -> { value, expireAt }
+  }
+
+  /**
+   * 是否启用静默模式：被限流或未知命令时不回复
+   */
+  get quiet() {
+    return this.config.quiet === true;
+  }
+
+  /**
+   * 检查命令消息是否超出用户/群/命令的频率限制
+   * 返回 { allowed, reason }
+   */
+  async check(context) {
+    if (this.config.enabled === false || context.isMaster) {
+      return { allowed: true };
+    }
+    
+    const chat = context.isGroup ? `g${context.groupId}` : `p${context.userId}`;
+    const commandLimit = (this.config.commands || {})[context.command] || this.config.command;
+    const rules = [
+      { reason: 'user', key: `user:${context.userId}`, rule: this.config.user },
+      { reason: 'group', key: `group:${context.groupId}`, rule: context.isGroup ? this.config.group : null },
+      { reason: 'command', key: `command:${chat}:${context.command}`, rule: commandLimit }
+    ];
+    
+    for (const { reason, key, rule } of rules) {
+      if (!rule || !rule.limit) continue;
+      if (!(await this.hit(key, rule.limit, rule.window || 60))) {
+        logger.debug(`消息被限流(${reason}): ${context.userId} ${context.command}`);
+        return { allowed: false, reason };
+      }
+    }
+    
+    return { allowed: true };
+  }
+
+  /**
+   * 固定窗口计数，未超出限制时返回true
+   */
+  async hit(key, limit, windowSeconds) {
+    const count = await this.incr(key, windowSeconds);
+    return count <= limit;
+  }
+
+  /**
+   * 检查并开始冷却，返回剩余冷却秒数，0表示可以执行
+   */
+  async cooldown(key, seconds) {
+    if (!seconds || seconds <= 0) {
+      return 0;
+    }
+    
+    const fullKey = `${KEY_PREFIX}cd:${key}`;
+    try {
+      if (this.bot.redis) {
+        const result = await this.bot.redis.set(fullKey, '1', { EX: seconds, NX: true });
+        if (result) return 0;
+        const ttl = await this.bot.redis.ttl(fullKey);
+        return ttl > 0 ? ttl : seconds;
+      }
+    } catch (error) {
+      logger.warn('Redis冷却计数失败，使用内存计数:', error.message);
+    }
+    
+    const entry = this.getMemory(fullKey);
+    if (entry) {
+      return Math.ceil((entry.expireAt - Date.now()) / 1000);
+    }
+    this.setMemory(fullKey, seconds);
+    return 0;
+  }
+
+  /**
+   * 检查用户使用某个命令的冷却，冷却中时按配置回复提示
+   * 返回true表示可以执行
+   */
+  async checkCooldown(context, name, seconds) {
+    if (!seconds || context.isMaster) {
+      return true;
+    }
+    
+    // 命令上下文使用 userId，云崽事件对象 e 使用 user_id
+    const userId = context.userId !== undefined ? context.userId : context.user_id;
+    const remaining = await this.cooldown(`${name}:${userId}`, seconds);
+    if (remaining <= 0) {
+      return true;
+    }
+    
+    if (!this.quiet) {
+      await context.reply(`命令冷却中，请 ${remaining} 秒后再试`).catch(error => {
+        logger.error('回复冷却提示失败:', error);
+      });
+    }
+    return false;
+  }
+
+  /**
+   * 回复限流提示，每个用户在一个窗口内只提示一次
+   */
+  async notify(context) {
+    if (this.quiet) {
+      return;
+    }
+    
+    const message = this.config.notice !== undefined ? this.config.notice : '操作太频繁，请稍后再试';
+    if (!message) {
+      return;
+    }
+    
+    const window = (this.config.user && this.config.user.window) || 60;
+    if ((await this.cooldown(`notice:${context.userId}`, window)) > 0) {
+      return;
+    }
+    
+    try {
+      await context.reply(message);
+    } catch (error) {
+      logger.error('回复限流提示失败:', error);
+    }
+  }
+
+  /**
+   * 计数加一，窗口内的第一次计数同时设置过期时间
+   * 先以 NX 创建带过期时间的键再自增，不会留下没有过期时间的计数；支持 MULTI 时两步在同一事务中执行
+   */
+  async incr(key, windowSeconds) {
+    const fullKey = `${KEY_PREFIX}${key}`;
+    
+    try {
+      const redis = this.bot.redis;
+      if (redis) {
+        if (typeof redis.multi === 'function') {
+          const [, count] = await redis.multi()
+            .set(fullKey, '0', { EX: windowSeconds, NX: true })
+            .incr(fullKey)
+            .exec();
+          return Number(count);
+        }
+        await redis.set(fullKey, '0', { EX: windowSeconds, NX: true });
+        return await redis.incr(fullKey);
+      }
+    } catch (error) {
+      logger.warn('Redis限流计数失败，使用内存计数:', error.message);
+    }
+    
+    const entry = this.getMemory(fullKey);
+    if (entry) {
+      entry.value++;
+      return entry.value;
+    }
+    this.setMemory(fullKey, windowSeconds);
+    return 1;
+  }
+
+  /**
+   * 读取未过期的内存计数，顺带清理过期项
+   */
+  getMemory(key) {
+    const entry = this.memory.get(key);
+    if (entry && entry.expireAt <= Date.now()) {
+      this.memory.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * 写入内存计数，计数过多时清理过期项
+   */
+  setMemory(key, seconds) {
+    if (this.memory.size >= 10000) {
+      const now = Date.now();
+      for (const [k, entry] of this.memory) {
+        if (entry.expireAt <= now) this.memory.delete(k);
+      }
+    }
+    this.memory.set(key, { value: 1, expireAt: Date.now() + seconds * 1000 });
+  }
+}
+
+module.exports = { RateLimiter };
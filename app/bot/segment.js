@@ -0,0 +1,250 @@
+/**
+ * 消息段工具：在CQ码字符串与消息段数组之间互相转换，并提供兼容云崽的消息段构造方法
+ * 消息段格式与OneBot v11一致：{ type: 'text', data: { text: '...' } }
+ */
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// CQ码中需要转义的字符
+const TEXT_ESCAPES = [['&', '&amp;'], ['[', '&#91;'], [']', '&#93;']];
+const PARAM_ESCAPES = [...TEXT_ESCAPES, [',', '&#44;']];
+
+const CQ_PATTERN = /\[CQ:([a-zA-Z0-9_.-]+)((?:,[^,\]]*)*)\]/g;
+
+/**
+ * 转义文本内容
+ */
+function escape(text, isParam = false) {
+  const table = isParam ? PARAM_ESCAPES : TEXT_ESCAPES;
+  return table.reduce((str, [char, entity]) => str.split(char).join(entity), String(text));
+}
+
+/**
+ * 反转义文本内容，&amp; 必须最后处理，避免二次反转义
+ */
+function unescape(text) {
+  return String(text)
+    .replace(/&#44;/g, ',')
+    .replace(/&#91;/g, '[')
+    .replace(/&#93;/g, ']')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 将CQ码字符串解析为消息段数组
+ */
+function parse(str) {
+  const segments = [];
+  let lastIndex = 0;
+  let match;
+  
+  CQ_PATTERN.lastIndex = 0;
+  while ((match = CQ_PATTERN.exec(str)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push(text(unescape(str.slice(lastIndex, match.index))));
+    }
+    
+    const data = {};
+    for (const pair of match[2].split(',').slice(1)) {
+      const index = pair.indexOf('=');
+      if (index === -1) {
+        data[pair] = '';
+      } else {
+        data[pair.slice(0, index)] = unescape(pair.slice(index + 1));
+      }
+    }
+    segments.push({ type: match[1], data });
+    lastIndex = CQ_PATTERN.lastIndex;
+  }
+  
+  if (lastIndex < str.length) {
+    segments.push(text(unescape(str.slice(lastIndex))));
+  }
+  
+  return segments;
+}
+
+/**
+ * 将消息段数组序列化为CQ码字符串
+ */
+function stringify(segments) {
+  return normalize(segments).map(seg => {
+    if (seg.type === 'text') {
+      return escape(seg.data.text);
+    }
+    
+    const params = Object.entries(seg.data || {})
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `,${key}=${escape(value, true)}`)
+      .join('');
+    return `[CQ:${seg.type}${params}]`;
+  }).join('');
+}
+
+/**
+ * 将任意格式的消息统一为消息段数组
+ * 支持CQ码字符串、消息段对象及二者混合的数组
+ */
+function normalize(message) {
+  if (message === undefined || message === null) {
+    return [];
+  }
+  if (typeof message === 'string') {
+    return parse(message);
+  }
+  if (!Array.isArray(message)) {
+    message = [message];
+  }
+  
+  return message.flatMap(item => {
+    if (typeof item === 'string') {
+      return item ? [text(item)] : [];
+    }
+    if (item && typeof item === 'object' && item.type) {
+      return [{ type: item.type, data: { ...item.data } }];
+    }
+    return item === undefined || item === null ? [] : [text(String(item))];
+  });
+}
+
+/**
+ * 提取消息段中的纯文本
+ */
+function toText(segments) {
+  return normalize(segments)
+    .filter(seg => seg.type === 'text')
+    .map(seg => seg.data.text)
+    .join('');
+}
+
+/**
+ * 创建文本消息段
+ */
+function text(content) {
+  return { type: 'text', data: { text: String(content) } };
+}
+
+/**
+ * 将媒体资源统一为协议端可识别的file参数
+ * 支持Buffer、本地文件路径、file://、http(s)://、base64:// 以及裸base64字符串
+ */
+function resolveFile(file) {
+  if (Buffer.isBuffer(file)) {
+    return `base64://${file.toString('base64')}`;
+  }
+  
+  const str = String(file);
+  if (/^(https?|file|base64):\/\//i.test(str)) {
+    return str;
+  }
+  if (fs.existsSync(str)) {
+    return pathToFileURL(path.resolve(str)).href;
+  }
+  // 较长且只含base64字符的字符串视为裸base64数据
+  if (str.length > 64 && /^[A-Za-z0-9+/]+={0,2}$/.test(str)) {
+    return `base64://${str}`;
+  }
+  return str;
+}
+
+/**
+ * @某人，qq为 'all' 时@全体成员
+ */
+function at(qq, name) {
+  const data = { qq: String(qq) };
+  if (name) data.name = name;
+  return { type: 'at', data };
+}
+
+/**
+ * 图片
+ */
+function image(file, options = {}) {
+  return { type: 'image', data: { ...options, file: resolveFile(file) } };
+}
+
+/**
+ * QQ表情
+ */
+function face(id) {
+  return { type: 'face', data: { id: String(id) } };
+}
+
+/**
+ * 语音
+ */
+function record(file, options = {}) {
+  return { type: 'record', data: { ...options, file: resolveFile(file) } };
+}
+
+/**
+ * 短视频
+ */
+function video(file, options = {}) {
+  return { type: 'video', data: { ...options, file: resolveFile(file) } };
+}
+
+/**
+ * 回复（引用）某条消息
+ */
+function reply(id) {
+  return { type: 'reply', data: { id: String(id) } };
+}
+
+/**
+ * 戳一戳
+ */
+function poke(qq) {
+  return { type: 'poke', data: { qq: String(qq) } };
+}
+
+/**
+ * 链接分享
+ */
+function share(url, title, content, imageUrl) {
+  return { type: 'share', data: { url, title, content, image: imageUrl } };
+}
+
+/**
+ * 音乐分享，type为 qq、163 等平台标识
+ */
+function music(type, id) {
+  return { type: 'music', data: { type, id: String(id) } };
+}
+
+/**
+ * JSON卡片消息
+ */
+function json(data) {
+  return { type: 'json', data: { data: typeof data === 'string' ? data : JSON.stringify(data) } };
+}
+
+/**
+ * XML卡片消息
+ */
+function xml(data) {
+  return { type: 'xml', data: { data } };
+}
+
+module.exports = {
+  escape,
+  unescape,
+  parse,
+  stringify,
+  normalize,
+  toText,
+  resolveFile,
+  text,
+  at,
+  image,
+  face,
+  record,
+  video,
+  reply,
+  poke,
+  share,
+  music,
+  json,
+  xml
+};
@@ -0,0 +1,485 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+/**
+ * 内置缓存，实现云崽插件常用的 Redis 字符串命令子集，调用方式与 node-redis v4 相同
+ * 数据保存在进程内存中，可持久化到JSON文件或SQLite，适合小型部署和没有Redis服务器的测试环境
+ * 支持：get、set、setEx、mGet、del、exists、keys、incr、incrBy、decr、decrBy、expire、pExpire、ttl、pTTL、persist
+ */
+class EmbeddedCache {
+  constructor(config = {}) {
+    this.config = config;
+    this.entries = new Map();    // key -> { value, expiresAt }，expiresAt 为毫秒时间戳，null表示不过期
+    this.store = createStore(config);
+    this.sweepTimer = null;
+    this.isOpen = false;
+  }
+
+  /**
+   * 加载持久化的数据并开始定时清理过期键
+   */
+  async connect() {
+    if (this.store) {
+      const now = Date.now();
+      for (const [key, entry] of await this.store.load()) {
+        if (entry.expiresAt === null || entry.expiresAt > now) {
+          this.entries.set(key, entry);
+        }
+      }
+    }
+    
+    const interval = this.config.sweepInterval !== undefined ? this.config.sweepInterval : 60000;
+    if (interval > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), interval);
+      this.sweepTimer.unref();
+    }
+    
+    this.isOpen = true;
+    logger.info(`内置缓存已就绪，共 ${this.entries.size} 个键（持久化: ${this.store ? this.store.name : '无'}）`);
+  }
+
+  /**
+   * 停止定时清理并写入未保存的数据
+   */
+  async disconnect() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    this.isOpen = false;
+    if (this.store) {
+      await this.store.close(this.entries);
+    }
+  }
+
+  /**
+   * 兼容 node-redis 的 quit
+   */
+  async quit() {
+    return this.disconnect();
+  }
+  
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.value : null;
+  }
+  
+  async mGet(keys) {
+    return keys.map(key => {
+      const entry = this.getEntry(key);
+      return entry ? entry.value : null;
+    });
+  }
+
+  /**
+   * 设置值，支持 EX、PX、EXAT、PXAT、NX、XX、KEEPTTL、GET 选项
+   * 未设置成功（NX/XX 条件不满足）时返回null，指定 GET 时返回旧值
+   */
+  async set(key, value, options = {}) {
+    key = String(key);
+    const current = this.getEntry(key);
+    const previous = current ? current.value : null;
+    
+    if ((options.NX && current) || (options.XX && !current)) {
+      return options.GET ? previous : null;
+    }
+    
+    let expiresAt = null;
+    if (options.EX !== undefined) {
+      expiresAt = Date.now() + toInteger(options.EX, 'EX') * 1000;
+    } else if (options.PX !== undefined) {
+      expiresAt = Date.now() + toInteger(options.PX, 'PX');
+    } else if (options.EXAT !== undefined) {
+      expiresAt = toInteger(options.EXAT, 'EXAT') * 1000;
+    } else if (options.PXAT !== undefined) {
+      expiresAt = toInteger(options.PXAT, 'PXAT');
+    } else if (options.KEEPTTL && current) {
+      expiresAt = current.expiresAt;
+    }
+    
+    this.write(key, { value: String(value), expiresAt });
+    return options.GET ? previous : 'OK';
+  }
+  
+  async setEx(key, seconds, value) {
+    return this.set(key, value, { EX: seconds });
+  }
+
+  /**
+   * 删除键，参数可以是多个键或键数组，返回删除的数量
+   */
+  async del(...keys) {
+    let count = 0;
+    for (const key of keys.flat()) {
+      if (this.getEntry(key)) {
+        this.remove(String(key));
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * 返回存在的键的数量
+   */
+  async exists(...keys) {
+    return keys.flat().filter(key => this.getEntry(key)).length;
+  }
+
+  /**
+   * 按 glob 模式列出键，支持 *、?、[abc]、[^a] 和 \ 转义
+   */
+  async keys(pattern = '*') {
+    const regex = globToRegExp(String(pattern));
+    const now = Date.now();
+    const result = [];
+    for (const [key, entry] of this.entries) {
+      if (isExpired(entry, now)) {
+        this.remove(key);
+      } else if (regex.test(key)) {
+        result.push(key);
+      }
+    }
+    return result;
+  }
+  
+  async incr(key) {
+    return this.incrBy(key, 1);
+  }
+  
+  async decr(key) {
+    return this.incrBy(key, -1);
+  }
+  
+  async decrBy(key, decrement) {
+    return this.incrBy(key, -toInteger(decrement, 'decrement'));
+  }
+
+  /**
+   * 整数自增，键不存在时从0开始，保留原有的过期时间
+   */
+  async incrBy(key, increment) {
+    key = String(key);
+    const entry = this.getEntry(key);
+    const current = entry ? Number(entry.value) : 0;
+    if (!Number.isSafeInteger(current) || (entry && !/^-?\d+$/.test(entry.value))) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+    
+    const value = current + toInteger(increment, 'increment');
+    this.write(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+    return value;
+  }
+  
+  async expire(key, seconds) {
+    return this.pExpire(key, toInteger(seconds, 'seconds') * 1000);
+  }
+
+  /**
+   * 设置过期时间(ms)，键不存在时返回false，时间不大于0时立即删除
+   */
+  async pExpire(key, milliseconds) {
+    key = String(key);
+    const entry = this.getEntry(key);
+    if (!entry) {
+      return false;
+    }
+    
+    const ms = toInteger(milliseconds, 'milliseconds');
+    if (ms <= 0) {
+      this.remove(key);
+    } else {
+      this.write(key, { value: entry.value, expiresAt: Date.now() + ms });
+    }
+    return true;
+  }
+
+  /**
+   * 移除过期时间，原本没有过期时间或键不存在时返回false
+   */
+  async persist(key) {
+    key = String(key);
+    const entry = this.getEntry(key);
+    if (!entry || entry.expiresAt === null) {
+      return false;
+    }
+    this.write(key, { value: entry.value, expiresAt: null });
+    return true;
+  }
+
+  /**
+   * 剩余生存时间(秒)，与Redis一致：键不存在返回-2，没有过期时间返回-1
+   */
+  async ttl(key) {
+    const ms = await this.pTTL(key);
+    return ms < 0 ? ms : Math.round(ms / 1000);
+  }
+  
+  async pTTL(key) {
+    const entry = this.getEntry(key);
+    if (!entry) {
+      return -2;
+    }
+    return entry.expiresAt === null ? -1 : Math.max(0, entry.expiresAt - Date.now());
+  }
+
+  /**
+   * 清空所有键
+   */
+  async flushDb() {
+    for (const key of [...this.entries.keys()]) {
+      this.remove(key);
+    }
+    return 'OK';
+  }
+
+  /**
+   * 读取未过期的条目，顺便删除已过期的键
+   */
+  getEntry(key) {
+    key = String(key);
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (isExpired(entry, Date.now())) {
+      this.remove(key);
+      return null;
+    }
+    return entry;
+  }
+  
+  write(key, entry) {
+    this.entries.set(key, entry);
+    if (this.store) {
+      this.store.write(key, entry, this.entries);
+    }
+  }
+  
+  remove(key) {
+    this.entries.delete(key);
+    if (this.store) {
+      this.store.remove(key, this.entries);
+    }
+  }
+
+  /**
+   * 清理所有已过期的键
+   */
+  sweep() {
+    const now = Date.now();
+    let count = 0;
+    for (const [key, entry] of this.entries) {
+      if (isExpired(entry, now)) {
+        this.remove(key);
+        count++;
+      }
+    }
+    if (count > 0) {
+      logger.debug(`内置缓存清理了 ${count} 个过期键`);
+    }
+  }
+}
+
+/**
+ * JSON文件持久化，修改后延迟合并写入整个文件
+ */
+class FileStore {
+  constructor(config) {
+    this.name = 'file';
+    this.file = config.file || path.join(process.cwd(), 'data', 'cache.json');
+    this.saveDelay = config.saveDelay !== undefined ? config.saveDelay : 1000;
+    this.saveTimer = null;
+  }
+  
+  async load() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      return Object.entries(data).map(([key, [value, expiresAt]]) => [key, { value, expiresAt }]);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`读取缓存文件失败，将使用空缓存: ${error.message}`);
+      }
+      return [];
+    }
+  }
+  
+  write(key, entry, entries) {
+    this.schedule(entries);
+  }
+  
+  remove(key, entries) {
+    this.schedule(entries);
+  }
+  
+  schedule(entries) {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save(entries).catch(error => {
+        logger.error('保存缓存文件失败:', error.message);
+      });
+    }, this.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * 先写临时文件再改名，避免进程中断时留下不完整的文件
+   */
+  async save(entries) {
+    const data = {};
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (!isExpired(entry, now)) {
+        data[key] = [entry.value, entry.expiresAt];
+      }
+    }
+    
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(data));
+    await fs.promises.rename(temp, this.file);
+  }
+  
+  async close(entries) {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this.save(entries);
+    }
+  }
+}
+
+/**
+ * SQLite持久化，每次修改立即写入对应的行
+ */
+class SqliteStore {
+  constructor(config) {
+    this.name = 'sqlite';
+    this.file = config.sqlite || path.join(process.cwd(), 'data', 'cache.db');
+    this.db = null;
+    this.pending = Promise.resolve();
+  }
+  
+  async load() {
+    const sqlite3 = require('sqlite3');
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    this.db = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.file, error => (error ? reject(error) : resolve(db)));
+    });
+    // 按调用顺序依次执行，保证同一个键的写入和删除不会乱序
+    this.db.serialize();
+    
+    await this.run('CREATE TABLE IF NOT EXISTS cache (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER)');
+    await this.run('DELETE FROM cache WHERE expires_at IS NOT NULL AND expires_at <= ?', [Date.now()]);
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all('SELECT key, value, expires_at FROM cache', (error, result) => (error ? reject(error) : resolve(result)));
+    });
+    return rows.map(row => [row.key, { value: row.value, expiresAt: row.expires_at }]);
+  }
+  
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * 写入失败只记录日志，内存中的数据仍然有效
+   */
+  enqueue(sql, params) {
+    this.pending = this.run(sql, params).catch(error => {
+      logger.error('写入缓存数据库失败:', error.message);
+    });
+  }
+  
+  write(key, entry) {
+    this.enqueue('INSERT OR REPLACE INTO cache (key, value, expires_at) VALUES (?, ?, ?)', [key, entry.value, entry.expiresAt]);
+  }
+  
+  remove(key) {
+    this.enqueue('DELETE FROM cache WHERE key = ?', [key]);
+  }
+  
+  async close() {
+    if (!this.db) {
+      return;
+    }
+    await this.pending;
+    await new Promise((resolve, reject) => {
+      this.db.close(error => (error ? reject(error) : resolve()));
+    });
+    this.db = null;
+  }
+}
+
+/**
+ * 根据配置创建持久化方式，persist 为 false 时只保存在内存中
+ */
+function createStore(config) {
+  switch (config.persist === undefined ? 'file' : config.persist) {
+    case 'file':
+      return new FileStore(config);
+    case 'sqlite':
+      return new SqliteStore(config);
+    case false:
+    case 'none':
+      return null;
+    default:
+      throw new Error(`不支持的缓存持久化方式: ${config.persist}`);
+  }
+}
+
+function isExpired(entry, now) {
+  return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+function toInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isSafeInteger(number)) {
+    throw new Error(`ERR ${name} is not an integer or out of range`);
+  }
+  return number;
+}
+
+/**
+ * 将Redis的glob模式转换为正则表达式
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeChar(pattern[++i]);
+    } else if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = pattern.slice(i + 1, end);
+      const negate = body[0] === '^';
+      if (negate) {
+        body = body.slice(1);
+      }
+      // 保留区间写法 a-z，其余字符转义
+      body = body.replace(/\\?([\s\S])/g, (match, c) => (c === '-' && match === '-' ? '-' : escapeChar(c)));
+      source += `[${negate ? '^' : ''}${body}]`;
+      i = end;
+    } else {
+      source += escapeChar(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function escapeChar(char) {
+  return /[\\^$.*+?()[\]{}|/-]/.test(char) ? `\\${char}` : char;
+}
+
+module.exports = { EmbeddedCache, globToRegExp };
@@ -0,0 +1,43 @@
+const { EmbeddedCache } = require('./embedded');
+const { Redis } = require('../db/redis');
+const { logger } = require('../utils/logger');
+
+/**
+ * 根据配置创建缓存，挂载为 bot.redis，插件按 node-redis v4 的方式调用
+ * cache.driver：
+ * - 'redis'：只使用Redis，连接失败时启动失败
+ * - 'embedded'：只使用内置缓存
+ * - 'auto'：优先使用Redis，连接失败时退回内置缓存
+ */
+async function createCache(config) {
+  const options = config.cache || {};
+  const driver = options.driver || 'auto';
+  
+  if (driver !== 'redis' && driver !== 'embedded' && driver !== 'auto') {
+    throw new Error(`不支持的缓存驱动: ${driver}`);
+  }
+  
+  if (driver !== 'embedded') {
+    const redis = new Redis(config.redis);
+    try {
+      await redis.connect();
+      return redis;
+    } catch (error) {
+      if (driver === 'redis') {
+        throw error;
+      }
+      logger.warn(`Redis连接失败，改用内置缓存: ${error.message}`);
+      try {
+        await redis.disconnect();
+      } catch (disconnectError) {
+        // 连接未建立时断开可能失败，忽略
+      }
+    }
+  }
+  
+  const cache = new EmbeddedCache(options.embedded);
+  await cache.connect();
+  return cache;
+}
+
+module.exports = { createCache, EmbeddedCache };
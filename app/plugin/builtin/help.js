@@ -0,0 +1,86 @@
+/**
+ * 内置插件：帮助
+ *
+ * #帮助          按插件列出可用命令
+ * #帮助 <命令>   查看命令详情
+ */
+module.exports = (pluginManager) => {
+  const registry = pluginManager.commands;
+  const permission = pluginManager.bot.permission;
+  
+  const PERMISSION_NAMES = { admin: '群管理员', owner: '群主', master: '主人' };
+  
+  const listCommands = async (context) => {
+    // 只列出当前群启用且发送者有权限使用的命令
+    const groups = new Map();
+    for (const command of registry.list()) {
+      if (!pluginManager.isPluginEnabled(command.pluginId, context.groupId)) continue;
+      if (!permission.check(context, command.permission)) continue;
+      
+      if (!groups.has(command.pluginName)) {
+        groups.set(command.pluginName, []);
+      }
+      groups.get(command.pluginName).push(command);
+    }
+    
+    if (groups.size === 0) {
+      await context.reply('暂无可用命令');
+      return;
+    }
+    
+    const sections = [...groups].map(([pluginName, commands]) => {
+      const lines = commands.map(command => `  ${command.usage}${command.description ? `  ${command.description}` : ''}`);
+      return `【${pluginName}】\n${lines.join('\n')}`;
+    });
+    await context.reply(`可用命令：\n${sections.join('\n')}\n发送 "#帮助 <命令>" 查看详情`);
+  };
+  
+  const showCommand = async (context, name) => {
+    const command = registry.get(name.replace(/^#/, ''));
+    if (!command) {
+      await context.reply(`未找到命令: ${name}`);
+      return;
+    }
+    
+    const lines = [
+      `命令: ${command.name}`,
+      `用法: ${command.usage}`
+    ];
+    if (command.aliases.length > 0) {
+      lines.push(`别名: ${command.aliases.join('、')}`);
+    }
+    if (command.description) {
+      lines.push(`说明: ${command.description}`);
+    }
+    for (const arg of command.args) {
+      const flags = [arg.type, arg.optional ? '可选' : '必填', arg.rest ? '可多个' : ''].filter(Boolean);
+      lines.push(`  ${arg.name} (${flags.join(', ')})${arg.description ? `: ${arg.description}` : ''}`);
+    }
+    if (command.permission && PERMISSION_NAMES[command.permission]) {
+      lines.push(`权限: ${PERMISSION_NAMES[command.permission]}`);
+    }
+    lines.push(`来自插件: ${command.pluginName}`);
+    
+    await context.reply(lines.join('\n'));
+  };
+  
+  return {
+    name: '帮助',
+    description: '查看可用命令',
+    version: '1.0.0',
+    priority: 0,
+    protected: true,
+    
+    commands: [
+      {
+        name: '帮助',
+        aliases: ['help', '菜单'],
+        description: '列出可用命令，或查看指定命令的详情',
+        args: [{ name: '命令', type: 'string', optional: true }],
+        handler: (context, args) => {
+          return args['命令'] ? showCommand(context, args['命令']) : listCommands(context);
+        }
+      }
+    ]
+  };
+};
@@ -0,0 +1,123 @@
+/**
+ * 内置插件：插件启用/禁用管理
+ *
+ * #插件列表            查看插件及其在本群的状态
+ * #启用插件 <插件ID>    在本群启用插件（私聊中为全局）
+ * #禁用插件 <插件ID>    在本群禁用插件（私聊中为全局）
+ * #全局启用插件 <插件ID> / #全局禁用插件 <插件ID>  仅主人可用
+ * #导出插件数据 <插件ID> / #清除插件数据 <插件ID>    仅主人可用
+ */
+module.exports = (pluginManager) => {
+  const permission = pluginManager.bot.permission;
+  
+  const listPlugins = async (context) => {
+    const lines = pluginManager.getOrderedPlugins().map(info => {
+      const enabled = pluginManager.isPluginEnabled(info.id, context.groupId);
+      return `${enabled ? '✅' : '❌'} [${info.priority}] ${info.id}`;
+    });
+    await context.reply(`插件列表：\n${lines.join('\n')}`);
+  };
+  
+  const toggle = async (context, pluginId, enabled, global) => {
+    if (!pluginManager.plugins.has(pluginId)) {
+      await context.reply(`插件不存在: ${pluginId}`);
+      return;
+    }
+    if (pluginManager.plugins.get(pluginId).protected) {
+      await context.reply(`插件不允许被禁用: ${pluginId}`);
+      return;
+    }
+    
+    // 私聊或全局操作需要主人权限，群内操作群主/管理员即可
+    const scopeGroup = global ? null : context.groupId;
+    const level = scopeGroup ? 'admin' : 'master';
+    if (!permission.check(context, level)) {
+      await permission.deny(context, level);
+      return;
+    }
+    
+    pluginManager.setPluginEnabled(pluginId, enabled, scopeGroup);
+    const scope = scopeGroup ? '本群' : '全局';
+    await context.reply(`已在${scope}${enabled ? '启用' : '禁用'}插件: ${pluginId}`);
+  };
+  
+  // 插件可能已被删除，只剩下数据，因此不检查插件是否存在
+  const exportData = async (context, pluginId) => {
+    try {
+      const filePath = await pluginManager.storage.exportToFile(pluginId);
+      await context.reply(`已导出插件 ${pluginId} 的数据: ${filePath}`);
+    } catch (error) {
+      await context.reply(`导出插件数据失败: ${error.message}`);
+    }
+  };
+  
+  const purgeData = async (context, pluginId) => {
+    try {
+      const { rows, tables } = await pluginManager.storage.purge(pluginId);
+      await context.reply(`已清除插件 ${pluginId} 的数据：${rows} 条记录，${tables} 张数据表`);
+    } catch (error) {
+      await context.reply(`清除插件数据失败: ${error.message}`);
+    }
+  };
+  
+  const pluginArg = [{ name: '插件ID', type: 'string' }];
+  
+  return {
+    name: '插件管理',
+    description: '插件启用/禁用管理',
+    version: '1.0.0',
+    priority: 0,
+    // 内置管理插件不允许被禁用，否则无法再启用
+    protected: true,
+    
+    commands: [
+      {
+        name: '插件列表',
+        description: '查看插件及其在本群的启用状态',
+        handler: (context) => listPlugins(context)
+      },
+      {
+        name: '启用插件',
+        description: '在本群启用插件，私聊中为全局启用',
+        permission: 'admin',
+        args: pluginArg,
+        handler: (context, args) => toggle(context, args['插件ID'], true, false)
+      },
+      {
+        name: '禁用插件',
+        description: '在本群禁用插件，私聊中为全局禁用',
+        permission: 'admin',
+        args: pluginArg,
+        handler: (context, args) => toggle(context, args['插件ID'], false, false)
+      },
+      {
+        name: '全局启用插件',
+        description: '在所有群启用插件',
+        permission: 'master',
+        args: pluginArg,
+        handler: (context, args) => toggle(context, args['插件ID'], true, true)
+      },
+      {
+        name: '全局禁用插件',
+        description: '在所有群禁用插件',
+        permission: 'master',
+        args: pluginArg,
+        handler: (context, args) => toggle(context, args['插件ID'], false, true)
+      },
+      {
+        name: '导出插件数据',
+        description: '导出插件存储的全部数据到JSON文件',
+        permission: 'master',
+        args: pluginArg,
+        handler: (context, args) => exportData(context, args['插件ID'])
+      },
+      {
+        name: '清除插件数据',
+        description: '删除插件存储的全部数据及其数据表',
+        permission: 'master',
+        args: pluginArg,
+        handler: (context, args) => purgeData(context, args['插件ID'])
+      }
+    ]
+  };
+};
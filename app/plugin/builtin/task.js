@@ -0,0 +1,64 @@
+const dayjs = require('dayjs');
+
+/**
+ * 内置插件：定时任务管理（仅主人可用）
+ *
+ * #定时任务            列出即将执行的定时任务
+ * #执行任务 <任务名>    立即执行一次定时任务
+ */
+module.exports = (pluginManager) => {
+  const scheduler = pluginManager.scheduler;
+  const formatTime = (date) => (date ? dayjs(date).format('MM-DD HH:mm:ss') : '-');
+  
+  const listTasks = async (context) => {
+    const tasks = scheduler.list();
+    if (tasks.length === 0) {
+      await context.reply('暂无定时任务');
+      return;
+    }
+    
+    const lines = tasks.map(task => {
+      const status = task.lastResult ? (task.lastResult.ok ? '成功' : `失败: ${task.lastResult.error}`) : '未执行';
+      return `${task.name} [${task.cron}]\n  插件: ${task.pluginId}\n  下次: ${formatTime(task.nextRun)}  上次: ${formatTime(task.lastRun)} ${status}`;
+    });
+    await context.reply(`定时任务（共 ${tasks.length} 个）：\n${lines.join('\n')}`);
+  };
+  
+  const runTask = async (context, name) => {
+    if (!scheduler.find(name)) {
+      await context.reply(`定时任务不存在: ${name}`);
+      return;
+    }
+    
+    await context.reply(`开始执行定时任务: ${name}`);
+    const result = await scheduler.trigger(name);
+    await context.reply(result.ok
+      ? `定时任务执行完成: ${name}，耗时 ${result.duration}ms`
+      : `定时任务执行失败: ${name}\n${result.error}`);
+  };
+  
+  return {
+    name: '定时任务',
+    description: '查看与手动执行插件定时任务',
+    version: '1.0.0',
+    priority: 0,
+    protected: true,
+    
+    commands: [
+      {
+        name: '定时任务',
+        aliases: ['任务列表'],
+        description: '列出即将执行的定时任务',
+        permission: 'master',
+        handler: (context) => listTasks(context)
+      },
+      {
+        name: '执行任务',
+        description: '立即执行一次定时任务',
+        permission: 'master',
+        args: [{ name: '任务名', type: 'string', rest: true }],
+        handler: (context, args) => runTask(context, args['任务名'])
+      }
+    ]
+  };
+};
@@ -0,0 +1,250 @@
+const { logger } = require('../utils/logger');
+
+// 支持的参数类型
+const ARG_TYPES = ['string', 'number', 'user', 'image'];
+
+/**
+ * 命令注册表：插件通过 commands 声明命令，由框架负责匹配、参数校验与转换
+ *
+ * commands: [{
+ *   name: '签到',
+ *   aliases: ['打卡'],
+ *   description: '每日签到',
+ *   usage: '#签到 [@用户]',            // 可选，默认根据参数自动生成
+ *   permission: 'admin',               // 可选，见 Permission
+ *   cooldown: 10,                      // 可选，每个用户的冷却时间（秒）
+ *   args: [{ name: '用户', type: 'user', optional: true }],
+ *   handler: async (context, args) => {}
+ * }]
+ */
+class CommandRegistry {
+  constructor(pluginManager) {
+    this.pluginManager = pluginManager;
+    this.bot = pluginManager.bot;
+    this.commands = new Map(); // 命令名/别名 -> 命令
+  }
+
+  /**
+   * 注册插件声明的命令
+   */
+  registerPlugin(pluginId, pluginName, definitions = []) {
+    for (const definition of definitions) {
+      try {
+        this.register(pluginId, pluginName, definition);
+      } catch (error) {
+        logger.error(`插件 ${pluginId} 注册命令失败:`, error);
+      }
+    }
+  }
+
+  /**
+   * 注册单个命令
+   */
+  register(pluginId, pluginName, definition) {
+    if (!definition || !definition.name || typeof definition.handler !== 'function') {
+      throw new Error('命令必须包含 name 和 handler');
+    }
+    
+    const args = (definition.args || []).map((arg, index, list) => {
+      const type = arg.type || 'string';
+      if (!ARG_TYPES.includes(type)) {
+        throw new Error(`命令 ${definition.name} 的参数 ${arg.name} 类型无效: ${type}`);
+      }
+      if (arg.rest && index !== list.length - 1) {
+        throw new Error(`命令 ${definition.name} 的剩余参数 ${arg.name} 必须位于最后`);
+      }
+      return { ...arg, type };
+    });
+    
+    const command = {
+      ...definition,
+      aliases: definition.aliases || [],
+      args,
+      pluginId,
+      pluginName: pluginName || pluginId
+    };
+    command.usage = definition.usage || this.buildUsage(command);
+    
+    for (const name of [command.name, ...command.aliases]) {
+      const existing = this.commands.get(name);
+      if (existing && existing.pluginId !== pluginId) {
+        logger.warn(`命令 ${name} 已被插件 ${existing.pluginId} 注册，将被 ${pluginId} 覆盖`);
+      }
+      this.commands.set(name, command);
+    }
+  }
+
+  /**
+   * 移除插件注册的全部命令
+   */
+  unregisterPlugin(pluginId) {
+    for (const [name, command] of this.commands) {
+      if (command.pluginId === pluginId) {
+        this.commands.delete(name);
+      }
+    }
+  }
+
+  /**
+   * 获取命令（按命令名或别名）
+   */
+  get(name) {
+    return this.commands.get(name) || null;
+  }
+
+  /**
+   * 获取去重后的全部命令
+   */
+  list() {
+    return [...new Set(this.commands.values())];
+  }
+
+  /**
+   * 匹配消息对应的命令，第一个词必须与命令名或别名完全相同
+   * 不做前缀匹配，"#帮助xxx" 这类消息留给插件的规则处理
+   */
+  match(context) {
+    if (!context.isCommand) {
+      return null;
+    }
+    return this.commands.get(context.command) || null;
+  }
+
+  /**
+   * 处理已匹配的命令，已处理返回true
+   * 参数不符合声明时不回复，把用法说明记录到 context.commandError 后返回false，
+   * 让后续插件仍有机会处理该消息，都未处理时由 PluginManager 回复用法
+   */
+  async handle(context, command = this.match(context)) {
+    if (!command) {
+      return false;
+    }
+    
+    if (!this.pluginManager.isPluginEnabled(command.pluginId, context.groupId)) {
+      return false;
+    }
+    
+    if (!this.bot.permission.check(context, command.permission)) {
+      await this.bot.permission.deny(context, command.permission);
+      return true;
+    }
+    
+    const parsed = this.parseArgs(command, context.args, context);
+    if (parsed.error) {
+      context.commandError = `${parsed.error}\n用法: ${command.usage}`;
+      return false;
+    }
+    
+    // 命令冷却，配置中的设置优先于插件声明
+    const override = ((this.bot.config.rateLimit || {}).commands || {})[command.name] || {};
+    const cooldown = override.cooldown !== undefined ? override.cooldown : command.cooldown;
+    if (!(await this.bot.rateLimiter.checkCooldown(context, `${command.pluginId}:${command.name}`, cooldown))) {
+      return true;
+    }
+    
+    context.params = parsed.values;
+    try {
+      const result = await this.pluginManager.runHandler(command.pluginId, command.name, () => command.handler(context, parsed.values));
+      // 命令处理函数明确返回false时交给后续插件处理
+      return result !== false;
+    } catch (error) {
+      logger.error(`插件 ${command.pluginId} 执行命令 ${command.name} 出错`, error);
+      return true;
+    }
+  }
+
+  /**
+   * 按参数声明校验并转换参数
+   * @用户与图片从消息段中依次取出，其余参数从文本中按空白分隔取出
+   */
+  parseArgs(command, tokens, context) {
+    const words = tokens.filter(Boolean);
+    const segments = context.messageArray || [];
+    const selfId = String(context.selfId || this.bot.selfId);
+    const ats = segments
+      .filter(seg => seg.type === 'at' && String(seg.data.qq) !== selfId && seg.data.qq !== 'all')
+      .map(seg => Number(seg.data.qq));
+    const images = segments
+      .filter(seg => seg.type === 'image')
+      .map(seg => seg.data.url || seg.data.file);
+    
+    const values = {};
+    for (const arg of command.args) {
+      let value;
+      
+      if (arg.type === 'image') {
+        value = arg.rest ? images.splice(0) : images.shift();
+      } else if (arg.type === 'user') {
+        value = arg.rest ? this.takeUsers(ats, words) : this.takeUser(ats, words);
+        if (value === null) {
+          if (!arg.optional) {
+            return { error: `参数 ${arg.name} 需要@用户或QQ号` };
+          }
+          value = undefined;
+        }
+      } else if (arg.rest) {
+        value = arg.type === 'string' ? words.splice(0).join(' ') : words.splice(0);
+      } else {
+        value = words.shift();
+      }
+      
+      if (arg.type === 'number' && value !== undefined) {
+        const numbers = [].concat(value).map(Number);
+        if (numbers.some(Number.isNaN)) {
+          return { error: `参数 ${arg.name} 必须是数字` };
+        }
+        value = arg.rest ? numbers : numbers[0];
+      }
+      
+      const missing = value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+      if (missing) {
+        if (!arg.optional) {
+          return { error: `缺少参数: ${arg.name}` };
+        }
+        value = arg.default;
+      }
+      
+      values[arg.name] = value;
+    }
+    
+    return { values };
+  }
+
+  /**
+   * 取出一个用户：优先使用@，其次使用QQ号文本；文本不是QQ号时返回null
+   */
+  takeUser(ats, words) {
+    if (ats.length > 0) {
+      return ats.shift();
+    }
+    if (words.length === 0) {
+      return undefined;
+    }
+    return /^\d{5,}$/.test(words[0]) ? Number(words.shift()) : null;
+  }
+
+  /**
+   * 取出全部用户
+   */
+  takeUsers(ats, words) {
+    const users = ats.splice(0);
+    while (words.length > 0 && /^\d{5,}$/.test(words[0])) {
+      users.push(Number(words.shift()));
+    }
+    return users;
+  }
+
+  /**
+   * 根据参数声明生成用法说明
+   */
+  buildUsage(command) {
+    const prefix = (this.bot.config.commandPrefix || ['#'])[0];
+    const args = command.args.map(arg => {
+      const label = `${arg.type === 'user' ? '@' : ''}${arg.name}${arg.rest ? '...' : ''}`;
+      return arg.optional ? `[${label}]` : `<${label}>`;
+    });
+    return [`${prefix}${command.name}`, ...args].join(' ');
+  }
+}
+
+module.exports = { CommandRegistry };
@@ -0,0 +1,138 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * 多轮对话管理
+ * 会话会在插件正常分发前截获指定用户（或整个群）在该聊天中的下一条消息
+ */
+class ConversationManager {
+  constructor(pluginManager) {
+    this.pluginManager = pluginManager;
+    this.sessions = new Map(); // 会话键 -> 会话
+    this.defaultTimeout = 120 * 1000;
+  }
+
+  /**
+   * 生成会话键，wholeGroup为true时群内任何人的消息都会被截获
+   */
+  getKey(groupId, userId, wholeGroup = false) {
+    const chat = groupId ? `group:${groupId}` : `private:${userId}`;
+    return wholeGroup && groupId ? `${chat}:*` : `${chat}:${userId}`;
+  }
+
+  /**
+   * 开始一个会话
+   * handler 接收下一条消息的上下文；onTimeout 在超时后调用
+   */
+  start({ pluginId, groupId, userId, wholeGroup = false, timeout, handler, onTimeout, data }) {
+    const key = this.getKey(groupId, userId, wholeGroup);
+    
+    // 同一位置的旧会话被新会话取代
+    this.finish(key);
+    
+    const session = { key, pluginId, handler, onTimeout, data, timer: null };
+    session.timer = setTimeout(() => {
+      if (this.sessions.get(key) !== session) return;
+      this.sessions.delete(key);
+      logger.debug(`会话超时: ${key} (${pluginId})`);
+      Promise.resolve()
+        .then(() => onTimeout && onTimeout())
+        .catch(error => logger.error(`会话超时处理出错: ${key}`, error));
+    }, timeout || this.defaultTimeout);
+    
+    this.sessions.set(key, session);
+    return key;
+  }
+
+  /**
+   * 获取会话
+   */
+  get(key) {
+    return this.sessions.get(key) || null;
+  }
+
+  /**
+   * 结束会话，不触发超时回调
+   */
+  finish(key) {
+    const session = this.sessions.get(key);
+    if (!session) return false;
+    
+    clearTimeout(session.timer);
+    this.sessions.delete(key);
+    if (session.cancel) {
+      session.cancel();
+    }
+    return true;
+  }
+
+  /**
+   * 查找会截获该消息的会话，优先匹配用户自己的会话，没有时返回null
+   */
+  findSession(context) {
+    if (this.sessions.size === 0) return null;
+    
+    const keys = [this.getKey(context.groupId, context.userId)];
+    if (context.isGroup) {
+      keys.push(this.getKey(context.groupId, context.userId, true));
+    }
+    return keys.map(key => this.sessions.get(key)).find(Boolean) || null;
+  }
+
+  /**
+   * 尝试将消息交给等待中的会话，被截获时返回true
+   */
+  async dispatch(context) {
+    const session = this.findSession(context);
+    if (!session) return false;
+    
+    // 会话处理函数可以自行调用finish，也可以再次开启会话
+    try {
+      await session.handler(context);
+    } catch (error) {
+      logger.error(`插件 ${session.pluginId} 处理会话消息出错`, error);
+    }
+    return true;
+  }
+
+  /**
+   * 发送提示并等待该用户在当前聊天中的下一条消息
+   * 返回下一条消息的上下文，超时或会话被取消时返回null
+   */
+  prompt(pluginId, context, message, { timeout, wholeGroup = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const key = this.start({
+        pluginId,
+        groupId: context.groupId,
+        userId: context.userId,
+        wholeGroup,
+        timeout,
+        handler: async (next) => {
+          resolve(next);
+          this.finish(key);
+        },
+        onTimeout: () => resolve(null)
+      });
+      this.sessions.get(key).cancel = () => resolve(null);
+      
+      if (message) {
+        context.reply(message).catch(error => {
+          reject(error);
+          this.finish(key);
+        });
+      }
+    });
+  }
+
+  /**
+   * 清理某个插件的全部会话，插件卸载时调用
+   */
+  clearPlugin(pluginId) {
+    for (const [key, session] of this.sessions) {
+      if (session.pluginId === pluginId) {
+        this.finish(key);
+      }
+    }
+  }
+}
+
+module.exports = { ConversationManager };
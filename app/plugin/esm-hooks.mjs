@@ -0,0 +1,47 @@
+import { fileURLToPath } from 'url';
+import moduleType from './module-type.js';
+
+const { RELOAD_PARAM, getModuleType } = moduleType;
+
+/**
+ * 插件ESM加载钩子，由 PluginLoader 通过 module.register 注册
+ * 1. 插件入口带有重载版本参数时，把参数传递给它在插件目录内导入的模块，使整个模块图随插件重新加载
+ * 2. 按语法识别为ES模块的 .js 文件，即使所在目录未声明 "type": "module" 也按ES模块加载
+ */
+let pluginRoot = null;
+
+export async function initialize(data) {
+  pluginRoot = data.pluginRoot;
+}
+
+/**
+ * 判断URL是否为插件目录内的源码文件（不含 node_modules）
+ */
+function isPluginSource(url) {
+  return Boolean(pluginRoot) && url.startsWith(pluginRoot) && !url.includes('/node_modules/');
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const result = await nextResolve(specifier, context);
+  if (!context.parentURL || !isPluginSource(result.url)) {
+    return result;
+  }
+  
+  const version = new URL(context.parentURL).searchParams.get(RELOAD_PARAM);
+  const url = new URL(result.url);
+  if (version && !url.searchParams.has(RELOAD_PARAM)) {
+    url.searchParams.set(RELOAD_PARAM, version);
+    return { ...result, url: url.href };
+  }
+  return result;
+}
+
+export async function load(url, context, nextLoad) {
+  if (isPluginSource(url) && url.startsWith('file:')) {
+    const filePath = fileURLToPath(url);
+    if (filePath.endsWith('.js') && getModuleType(filePath) === 'module') {
+      return nextLoad(url, { ...context, format: 'module' });
+    }
+  }
+  return nextLoad(url, context);
+}
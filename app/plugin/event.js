@@ -0,0 +1,294 @@
+const segment = require('../bot/segment');
+const { isForwardMsg } = require('../bot/forward');
+const { logger } = require('../utils/logger');
+
+// OneBot v11 通知类型对应的云崽事件名（不含 notice. 前缀）
+const NOTICE_NAMES = {
+  group_increase: 'group.increase',
+  group_decrease: 'group.decrease',
+  group_recall: 'group.recall',
+  group_admin: 'group.admin',
+  group_ban: 'group.ban',
+  group_upload: 'group.upload',
+  friend_add: 'friend.increase',
+  friend_recall: 'friend.recall'
+};
+
+/**
+ * 将 OneBot v11 上报转换为云崽风格的事件名，如 notice.group.increase、request.group.invite
+ */
+function getEventName(payload) {
+  const hasGroup = payload.group_id !== undefined && payload.group_id !== null;
+  
+  if (payload.post_type === 'notice') {
+    if (NOTICE_NAMES[payload.notice_type]) {
+      return `notice.${NOTICE_NAMES[payload.notice_type]}`;
+    }
+    // 戳一戳、运气王、荣誉等通过 notify 上报，按是否有群号区分群/好友
+    if (payload.notice_type === 'notify') {
+      return `notice.${hasGroup ? 'group' : 'friend'}.${payload.sub_type}`;
+    }
+    return ['notice', payload.notice_type, payload.sub_type].filter(Boolean).join('.');
+  }
+  
+  if (payload.post_type === 'request') {
+    if (payload.request_type === 'friend') {
+      return 'request.friend.add';
+    }
+    return ['request', payload.request_type, payload.sub_type].filter(Boolean).join('.');
+  }
+  
+  if (payload.post_type === 'message') {
+    return ['message', payload.message_type, payload.sub_type].filter(Boolean).join('.');
+  }
+  
+  return [payload.post_type, payload.meta_event_type, payload.sub_type].filter(Boolean).join('.');
+}
+
+/**
+ * 判断事件名是否匹配声明的事件
+ * 按段前缀匹配，* 匹配任意一段，如 message 匹配 message.group.normal，notice.group.* 匹配 notice.group.increase
+ */
+function matchEvent(declared, eventName) {
+  if (!declared) {
+    return true;
+  }
+  const expected = declared.split('.');
+  const actual = eventName.split('.');
+  return expected.every((part, i) => part === '*' || part === actual[i]);
+}
+
+/**
+ * 构建兼容云崽的事件对象 e
+ * 消息事件由 MessageProcessor.createContext 生成的上下文派生，通知/请求事件由原始上报派生
+ */
+class EventBuilder {
+  constructor(bot) {
+    this.bot = bot;
+  }
+
+  /**
+   * 从消息上下文构建事件对象，e.bot 为收到消息的账号
+   */
+  fromMessage(context) {
+    const account = context.account || this.bot;
+    const segments = context.messageArray || [];
+    const selfId = String(context.selfId || account.selfId);
+    
+    const ats = segments.filter(seg => seg.type === 'at').map(seg => String(seg.data.qq));
+    const images = segments.filter(seg => seg.type === 'image').map(seg => seg.data.url || seg.data.file);
+    const reply = segments.find(seg => seg.type === 'reply');
+    const otherAt = ats.find(qq => qq !== selfId && qq !== 'all');
+    
+    const e = {
+      post_type: 'message',
+      message_type: context.messageType,
+      sub_type: context.subType,
+      eventName: getEventName({ post_type: 'message', message_type: context.messageType, sub_type: context.subType }),
+      message_id: context.messageId,
+      user_id: context.userId,
+      group_id: context.groupId,
+      self_id: Number(selfId),
+      time: context.time ? context.time.unix() : Math.floor(Date.now() / 1000),
+      message: segments,
+      raw_message: context.rawMessage,
+      msg: context.message,
+      sender: { user_id: context.userId, ...context.sender },
+      isGroup: context.isGroup,
+      isPrivate: context.isPrivate,
+      isMaster: this.isMaster(context.userId),
+      at: otherAt ? Number(otherAt) : undefined,
+      atBot: ats.includes(selfId),
+      atall: ats.includes('all'),
+      img: images.length > 0 ? images : undefined,
+      source: reply ? { message_id: reply.data.id, seq: reply.data.id } : undefined,
+      bot: account,
+      logText: '',
+      logFnc: ''
+    };
+    
+    this.attachTargets(e);
+    e.logText = e.isGroup ? `[${e.group_id}, ${e.user_id}]` : `[${e.user_id}]`;
+    
+    // 获取被引用的消息
+    e.getReply = async () => {
+      if (!e.source) return null;
+      return account.getMsg(e.source.message_id);
+    };
+    
+    e.reply = (msg, quote = false, options = {}) => this.reply(e, msg, quote, options);
+    e.quickOperation = (operation) => (context.quickOperation ? context.quickOperation(operation) : false);
+    e.toString = () => e.raw_message;
+    
+    return e;
+  }
+
+  /**
+   * 从通知或请求上报构建事件对象，account 为收到上报的账号
+   */
+  fromNotice(payload, account = this.bot) {
+    const eventName = getEventName(payload);
+    const [, detailType, subType] = eventName.split('.');
+    const isGroup = payload.group_id !== undefined && payload.group_id !== null;
+    
+    const e = {
+      ...payload,
+      raw: payload,
+      eventName,
+      isGroup,
+      isPrivate: !isGroup,
+      isMaster: this.isMaster(payload.user_id),
+      sender: { user_id: payload.user_id },
+      bot: account,
+      logText: isGroup ? `[${payload.group_id}, ${payload.user_id}]` : `[${payload.user_id}]`,
+      logFnc: ''
+    };
+    
+    // 与云崽保持一致：notice_type/request_type 为 group 或 friend，sub_type 为具体事件
+    // OneBot 原始字段保留在 e.raw 中
+    if (payload.post_type === 'notice') {
+      e.notice_type = detailType;
+      e.sub_type = subType;
+      // OneBot 戳一戳上报中 user_id 为发起者
+      if (subType === 'poke' && e.operator_id === undefined) {
+        e.operator_id = payload.user_id;
+      }
+    } else if (payload.post_type === 'request') {
+      e.request_type = detailType;
+      e.sub_type = subType;
+      e.approve = (approve = true, reason = '') => {
+        return detailType === 'friend'
+          ? account.setFriendAddRequest(payload.flag, approve, reason)
+          : account.setGroupAddRequest(payload.flag, payload.sub_type, approve, reason);
+      };
+    }
+    
+    // HTTP上报的快速操作，如 { approve: true }
+    e.quickOperation = (operation) => {
+      return typeof payload.quickOperation === 'function' ? payload.quickOperation(operation) : false;
+    };
+    
+    this.attachTargets(e);
+    e.reply = (msg, quote = false, options = {}) => this.reply(e, msg, false, options);
+    
+    return e;
+  }
+
+  /**
+   * 为事件挂载 group / friend / member 对象，均通过事件所属的账号发送
+   */
+  attachTargets(e) {
+    if (e.isGroup) {
+      e.group = this.pickGroup(e.group_id, e.bot);
+      e.member = this.pickMember(e.group_id, e.user_id, e.sender, e.bot);
+    } else if (e.user_id) {
+      e.friend = this.pickFriend(e.user_id, e.bot);
+    }
+  }
+
+  /**
+   * 回复事件，支持引用原消息、@发送者以及定时撤回
+   */
+  async reply(e, msg, quote = false, { recallMsg = 0, at = false } = {}) {
+    if (!msg) return false;
+    
+    // 合并转发消息不能附加引用和@，直接发送
+    let content = msg;
+    if (!isForwardMsg(msg)) {
+      content = segment.normalize(msg);
+      if (at && e.isGroup) {
+        content = [segment.at(e.user_id), ...content];
+      }
+      if (quote && e.message_id) {
+        content = [segment.reply(e.message_id), ...content];
+      }
+    }
+    
+    // 没有群号也没有QQ号的通知（如部分元事件）无法回复
+    const target = e.isGroup ? e.group : e.friend;
+    if (!target) {
+      throw new Error(`事件 ${e.eventName} 没有可回复的群或好友`);
+    }
+    const result = await target.sendMsg(content);
+    
+    // recallMsg 单位为秒，与云崽一致，取值范围 0~120
+    if (recallMsg > 0 && result && result.message_id) {
+      setTimeout(() => {
+        target.recallMsg(result.message_id).catch(error => {
+          logger.warn(`定时撤回消息失败: ${result.message_id}`, error);
+        });
+      }, Math.min(recallMsg, 120) * 1000);
+    }
+    
+    return result;
+  }
+
+  /**
+   * 获取群对象，api 为发送所用的账号，默认使用机器人的默认账号
+   */
+  pickGroup(groupId, api = this.bot) {
+    return {
+      group_id: groupId,
+      sendMsg: (msg) => api.sendGroupMsg(groupId, msg),
+      recallMsg: (messageId) => api.deleteMsg(messageId),
+      getInfo: () => api.getGroupInfo(groupId),
+      getMemberMap: async () => {
+        const list = await api.getGroupMemberList(groupId);
+        return new Map(list.map(member => [member.user_id, member]));
+      },
+      pickMember: (userId) => this.pickMember(groupId, userId, {}, api),
+      muteMember: (userId, duration = 600) => api.setGroupBan(groupId, userId, duration),
+      kickMember: (userId, reject = false) => api.setGroupKick(groupId, userId, reject),
+      muteAll: (enable = true) => api.setGroupWholeBan(groupId, enable),
+      setCard: (userId, card) => api.setGroupCard(groupId, userId, card),
+      makeForwardMsg: (msgs) => api.makeForwardMsg(msgs),
+      sendFile: (file, name) => api.uploadGroupFile(groupId, file, name)
+    };
+  }
+
+  /**
+   * 获取好友对象
+   */
+  pickFriend(userId, api = this.bot) {
+    return {
+      user_id: userId,
+      sendMsg: (msg) => api.sendPrivateMsg(userId, msg),
+      recallMsg: (messageId) => api.deleteMsg(messageId),
+      getInfo: () => api.getStrangerInfo(userId),
+      makeForwardMsg: (msgs) => api.makeForwardMsg(msgs),
+      getAvatarUrl: (size = 640) => `https://q1.qlogo.cn/g?b=qq&s=${size}&nk=${userId}`
+    };
+  }
+
+  /**
+   * 获取群成员对象，sender 可提供已知的成员信息
+   */
+  pickMember(groupId, userId, sender = {}, api = this.bot) {
+    const role = sender.role || 'member';
+    
+    return {
+      group_id: groupId,
+      user_id: userId,
+      card: sender.card || '',
+      nickname: sender.nickname || '',
+      title: sender.title || '',
+      role,
+      is_owner: role === 'owner',
+      is_admin: role === 'owner' || role === 'admin',
+      getInfo: () => api.getGroupMemberInfo(groupId, userId),
+      getAvatarUrl: (size = 640) => `https://q1.qlogo.cn/g?b=qq&s=${size}&nk=${userId}`,
+      mute: (duration = 600) => api.setGroupBan(groupId, userId, duration),
+      kick: (reject = false) => api.setGroupKick(groupId, userId, reject),
+      poke: () => api.sendGroupMsg(groupId, segment.poke(userId))
+    };
+  }
+
+  /**
+   * 判断是否为主人
+   */
+  isMaster(userId) {
+    return this.bot.permission.isMaster(userId);
+  }
+}
+
+module.exports = { EventBuilder, getEventName, matchEvent };
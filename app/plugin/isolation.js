@@ -0,0 +1,503 @@
+const vm = require('vm');
+const fs = require('fs');
+const path = require('path');
+const { builtinModules, createRequire } = require('module');
+const segment = require('../bot/segment');
+const { apiMethods } = require('../bot/api');
+const { Plugin } = require('./plugin');
+const { getModuleType } = require('./module-type');
+const { logger } = require('../utils/logger');
+
+// 不涉及外部资源的内置模块，受限插件总是可以使用
+const SAFE_BUILTINS = ['assert', 'buffer', 'crypto', 'events', 'path', 'querystring', 'stream', 'string_decoder', 'url', 'util', 'zlib'];
+
+// 需要 network 权限的内置模块
+const NETWORK_BUILTINS = ['dgram', 'dns', 'http', 'http2', 'https', 'net', 'tls'];
+
+// 需要路径检查的 fs 方法：[方法名, 是否写入, 路径参数个数]
+const FS_METHODS = [
+  ['access', false, 1], ['existsSync', false, 1], ['readFile', false, 1], ['readdir', false, 1],
+  ['stat', false, 1], ['lstat', false, 1], ['createReadStream', false, 1],
+  ['writeFile', true, 1], ['appendFile', true, 1], ['mkdir', true, 1], ['rm', true, 1], ['rmdir', true, 1],
+  ['unlink', true, 1], ['createWriteStream', true, 1], ['copyFile', true, 2], ['rename', true, 2]
+];
+
+// 允许受限插件调用的Redis命令，第一个参数必须是命名空间内的键
+const REDIS_COMMANDS = [
+  'get', 'set', 'setEx', 'del', 'exists', 'expire', 'ttl', 'incr', 'incrBy', 'decr', 'keys',
+  'hGet', 'hSet', 'hGetAll', 'hDel', 'lPush', 'rPush', 'lPop', 'rPop', 'lRange', 'sAdd', 'sRem', 'sMembers'
+];
+
+// 可以传入多个键（或键数组）的Redis命令，每个键都要检查命名空间
+const REDIS_MULTI_KEY_COMMANDS = ['del', 'exists'];
+
+// 配置中需要隐藏的字段
+const SECRET_KEY = /password|token|secret|credential/i;
+
+// 受限插件可以调用的账号方法，不包含指回 Bot 的 account.bot 和适配器
+const ACCOUNT_METHODS = ['sendPrivateMsg', 'sendGroupMsg', 'makeForwardMsg', ...Object.keys(apiMethods)];
+
+// 在插件上下文中执行调用，使 vm 的超时限制覆盖同步执行部分
+const INVOKE_SCRIPT = new vm.Script('__tianxinInvoke__()');
+
+/**
+ * 插件受限运行：在独立的 vm 上下文中运行 CommonJS 插件，按权限限制插件可用的模块、文件、Redis键和配置
+ *
+ * 权限（capabilities）:
+ *   network  是否允许使用网络模块与 fetch
+ *   fs       可读写的目录（相对于工作目录），插件自身目录始终可读
+ *   db       可访问的Redis键命名空间，如 ['my-plugin'] 允许访问 my-plugin:*
+ *   modules  允许 require 的npm包，这些包运行在插件上下文之外，需确认可信
+ *
+ * 插件拿到的 Bot、消息上下文 context、事件对象 e 和插件存储都是受限的视图，不包含 Bot 实例、数据库和完整配置
+ * 同步代码的执行时间受 handlerTimeout 限制，异步等待的超时由 PluginManager.runHandler 处理
+ *
+ * 注意这不是安全隔离：上下文中的 Buffer、定时器、内置模块和回调函数都来自宿主，
+ * 插件可以通过它们的 constructor 取得宿主的 Function 从而逃逸（如 Buffer.constructor('return process')()）
+ * 因此只能约束可信插件的常规用法，不能用来运行不可信的代码
+ */
+class PluginIsolation {
+  constructor(pluginManager) {
+    this.pluginManager = pluginManager;
+    this.bot = pluginManager.bot;
+    const pluginConfig = this.bot.config.plugins || {};
+    this.config = {
+      enabled: false,
+      all: false,
+      plugins: {},
+      ...pluginConfig.isolation
+    };
+    this.timeout = pluginConfig.handlerTimeout || 0;
+    this.environments = new Map(); // 入口文件 -> 受限环境
+  }
+
+  /**
+   * 判断插件是否需要受限运行，可按插件ID或插件包名配置
+   */
+  isIsolated(pluginId, pkg = null) {
+    if (!this.config.enabled) {
+      return false;
+    }
+    return Boolean(this.config.all || this.config.plugins[pluginId] || (pkg && this.config.plugins[pkg.name]));
+  }
+
+  /**
+   * 合并插件的权限，未配置的项使用默认权限
+   */
+  getCapabilities(pluginId, pkg = null) {
+    const own = this.config.plugins[pluginId] || (pkg && this.config.plugins[pkg.name]) || {};
+    const capabilities = { network: false, fs: [], db: [], modules: [], ...this.config.defaults, ...own };
+    return {
+      network: capabilities.network === true,
+      fs: [].concat(capabilities.fs).map(dir => path.resolve(process.cwd(), dir)),
+      db: [].concat(capabilities.db),
+      modules: [].concat(capabilities.modules)
+    };
+  }
+
+  /**
+   * 在插件上下文中加载插件入口，返回模块导出
+   */
+  loadModule(pluginId, filePath, pkg = null) {
+    const entry = path.resolve(filePath);
+    const env = this.createEnvironment(pluginId, entry, pkg);
+    this.environments.set(entry, env);
+    
+    logger.info(`插件 ${pluginId} 以受限模式运行`);
+    return this.requireFile(env, entry);
+  }
+
+  /**
+   * 获取插件入口对应的受限环境，非受限插件返回null
+   */
+  getEnvironment(filePath) {
+    return this.environments.get(path.resolve(filePath)) || null;
+  }
+
+  /**
+   * 插件卸载后释放受限环境
+   */
+  release(filePath) {
+    this.environments.delete(path.resolve(filePath));
+  }
+
+  /**
+   * 创建受限环境：独立的全局对象、受限的 require、脱敏配置与按命名空间限制的Redis
+   */
+  createEnvironment(pluginId, entry, pkg) {
+    const capabilities = this.getCapabilities(pluginId, pkg);
+    const root = pkg ? pkg.dir : path.dirname(entry);
+    const config = this.redactConfig(this.bot.config);
+    const redis = this.createRedisView(capabilities.db);
+    
+    const pluginLogger = {
+      info: (...args) => logger.info(`[${pluginId}]`, ...args),
+      warn: (...args) => logger.warn(`[${pluginId}]`, ...args),
+      error: (...args) => logger.error(`[${pluginId}]`, ...args),
+      debug: (...args) => logger.debug(`[${pluginId}]`, ...args)
+    };
+    
+    const accounts = new WeakMap(); // 账号 -> 受限的账号视图
+    
+    // 云崽插件常用的机器人对象，只保留发送消息相关的方法
+    const bot = {
+      sendPrivateMsg: (userId, message) => this.bot.sendPrivateMsg(userId, message),
+      sendGroupMsg: (groupId, message) => this.bot.sendGroupMsg(groupId, message),
+      makeForwardMsg: (msgs, options) => this.bot.makeForwardMsg(msgs, options),
+      pickAccount: (selfId) => this.viewAccount(env, this.bot.getAccount(selfId)),
+      getOnlineAccounts: () => this.bot.getOnlineAccounts().map(account => this.viewAccount(env, account)),
+      logger: pluginLogger,
+      redis,
+      db: null,
+      config
+    };
+    
+    const globals = {
+      console: { log: pluginLogger.info, info: pluginLogger.info, warn: pluginLogger.warn, error: pluginLogger.error, debug: pluginLogger.debug },
+      process: Object.freeze({
+        cwd: () => process.cwd(),
+        env: {},
+        platform: process.platform,
+        version: process.version,
+        versions: process.versions
+      }),
+      setTimeout, clearTimeout, setInterval, clearInterval, setImmediate, clearImmediate, queueMicrotask,
+      Buffer, URL, URLSearchParams, TextEncoder, TextDecoder, AbortController, structuredClone,
+      segment,
+      plugin: Plugin,
+      logger: pluginLogger,
+      Bot: bot,
+      redis
+    };
+    if (capabilities.network) {
+      globals.fetch = fetch;
+    }
+    
+    const context = vm.createContext(globals, { name: `plugin:${pluginId}` });
+    Object.defineProperty(context, '__tianxinInvoke__', { value: null, writable: true, enumerable: false });
+    
+    const env = {
+      pluginId,
+      root,
+      capabilities,
+      context,
+      config,
+      redis,
+      bot,
+      accounts,
+      cache: new Map(), // 文件路径 -> module
+      fs: this.createFsView(capabilities, root)
+    };
+    return env;
+  }
+
+  /**
+   * 获取账号的受限视图，只能收发消息和调用API，拿不到 account.bot
+   */
+  viewAccount(env, account) {
+    if (!account) {
+      return null;
+    }
+    
+    let view = env.accounts.get(account);
+    if (!view) {
+      view = {
+        get name() { return account.name; },
+        get selfId() { return account.selfId; },
+        get uin() { return account.selfId; },
+        get nickname() { return account.nickname; },
+        get online() { return account.online; }
+      };
+      for (const method of ACCOUNT_METHODS) {
+        view[method] = (...args) => account[method](...args);
+      }
+      Object.freeze(view);
+      env.accounts.set(account, view);
+    }
+    return view;
+  }
+
+  /**
+   * 受限插件使用的会话管理，只能开启、读取和结束自己的会话
+   */
+  viewConversation(env, conversation) {
+    const own = (key) => {
+      const session = conversation.get(key);
+      return session && session.pluginId === env.pluginId ? session : null;
+    };
+    
+    return Object.freeze({
+      getKey: (groupId, userId, wholeGroup) => conversation.getKey(groupId, userId, wholeGroup),
+      start: (options) => conversation.start({ ...options, pluginId: env.pluginId }),
+      get: (key) => {
+        const session = own(key);
+        return session ? { pluginId: session.pluginId, data: session.data } : null;
+      },
+      finish: (key) => (own(key) ? conversation.finish(key) : false)
+    });
+  }
+
+  /**
+   * 生成交给受限插件的消息上下文，bot 和 account 替换为受限的视图
+   */
+  restrictContext(env, context) {
+    if (!context || typeof context !== 'object') {
+      return context;
+    }
+    
+    const restricted = { ...context, bot: env.bot, account: this.viewAccount(env, context.account) };
+    // 等待到的下一条消息同样替换为受限的上下文
+    if (typeof context.prompt === 'function') {
+      restricted.prompt = async (...args) => this.restrictContext(env, await context.prompt(...args));
+    }
+    return restricted;
+  }
+
+  /**
+   * 用受限的账号视图重新构建通知/请求事件对象
+   */
+  restrictEvent(env, e) {
+    if (!e || !e.raw) {
+      return e;
+    }
+    return this.pluginManager.sandbox.createYunzaiNoticeEvent(e.raw, this.viewAccount(env, e.bot));
+  }
+
+  /**
+   * 在插件上下文中执行 CommonJS 文件
+   */
+  requireFile(env, filePath) {
+    const cached = env.cache.get(filePath);
+    if (cached) {
+      return cached.exports;
+    }
+    
+    if (filePath.endsWith('.json')) {
+      const module = { exports: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+      env.cache.set(filePath, module);
+      return module.exports;
+    }
+    
+    if (getModuleType(filePath) === 'module') {
+      throw new Error(`受限模式只支持CommonJS插件: ${filePath}`);
+    }
+    
+    const module = { exports: {}, filename: filePath };
+    env.cache.set(filePath, module);
+    
+    const dirname = path.dirname(filePath);
+    const compiled = vm.compileFunction(
+      fs.readFileSync(filePath, 'utf8').replace(/^#!.*/, ''),
+      ['exports', 'require', 'module', '__filename', '__dirname'],
+      { filename: filePath, parsingContext: env.context }
+    );
+    
+    try {
+      this.invoke(env, () => compiled(module.exports, this.createRequire(env, dirname), module, filePath, dirname));
+    } catch (error) {
+      env.cache.delete(filePath);
+      throw error;
+    }
+    return module.exports;
+  }
+
+  /**
+   * 创建受限的 require：包内相对路径在插件上下文中加载，内置模块和npm包按权限放行
+   */
+  createRequire(env, dirname) {
+    return (request) => {
+      if (request.startsWith('.') || path.isAbsolute(request)) {
+        return this.requireFile(env, this.resolveFile(env, path.resolve(dirname, request)));
+      }
+      
+      const name = request.replace(/^node:/, '');
+      if (builtinModules.includes(name)) {
+        return this.requireBuiltin(env, name);
+      }
+      
+      // npm包按包名检查，如 lodash/fp 检查 lodash，@scope/pkg/sub 检查 @scope/pkg
+      const packageName = request.split('/').slice(0, request.startsWith('@') ? 2 : 1).join('/');
+      if (!env.capabilities.modules.includes(packageName)) {
+        throw new Error(`插件 ${env.pluginId} 无权使用模块: ${request}`);
+      }
+      return createRequire(path.join(env.root, 'package.json'))(request);
+    };
+  }
+
+  /**
+   * 按权限提供内置模块
+   */
+  requireBuiltin(env, name) {
+    if (name === 'fs') {
+      return env.fs;
+    }
+    if (name === 'fs/promises') {
+      return env.fs.promises;
+    }
+    if (SAFE_BUILTINS.includes(name) || (env.capabilities.network && NETWORK_BUILTINS.includes(name))) {
+      return require(name);
+    }
+    throw new Error(`插件 ${env.pluginId} 无权使用模块: ${name}`);
+  }
+
+  /**
+   * 解析包内的相对路径，不允许引用插件目录之外的文件
+   */
+  resolveFile(env, target) {
+    if (!this.isInside(target, [env.root])) {
+      throw new Error(`插件 ${env.pluginId} 无权加载目录之外的文件: ${target}`);
+    }
+    
+    const candidates = [target, `${target}.js`, `${target}.cjs`, `${target}.json`, path.join(target, 'index.js')];
+    const found = candidates.find(file => fs.existsSync(file) && fs.statSync(file).isFile());
+    if (!found) {
+      throw new Error(`找不到模块: ${target}`);
+    }
+    return found;
+  }
+
+  /**
+   * 创建只能访问授权目录的 fs，插件自身目录只读
+   */
+  createFsView(capabilities, root) {
+    const check = (target, write) => {
+      const resolved = path.resolve(process.cwd(), String(target));
+      const allowed = write ? capabilities.fs : [root, ...capabilities.fs];
+      if (!this.isInside(resolved, allowed)) {
+        throw new Error(`插件无权${write ? '写入' : '读取'}路径: ${resolved}`);
+      }
+      return resolved;
+    };
+    
+    const wrap = (target, name, write, count) => (...args) => {
+      for (let i = 0; i < count; i++) {
+        args[i] = check(args[i], write);
+      }
+      return target[name](...args);
+    };
+    
+    const view = { constants: fs.constants, promises: {} };
+    for (const [name, write, count] of FS_METHODS) {
+      if (typeof fs[name] === 'function') {
+        view[name] = wrap(fs, name, write, count);
+      }
+      if (typeof fs[`${name}Sync`] === 'function') {
+        view[`${name}Sync`] = wrap(fs, `${name}Sync`, write, count);
+      }
+      if (typeof fs.promises[name] === 'function') {
+        view.promises[name] = wrap(fs.promises, name, write, count);
+      }
+    }
+    return view;
+  }
+
+  /**
+   * 创建只能访问指定命名空间的Redis，未授权任何命名空间时返回null
+   */
+  createRedisView(namespaces) {
+    if (namespaces.length === 0) {
+      return null;
+    }
+    
+    const check = (key) => {
+      const value = String(key);
+      if (!namespaces.some(ns => value === ns || value.startsWith(`${ns}:`))) {
+        throw new Error(`插件无权访问Redis键: ${value}`);
+      }
+      return value;
+    };
+    
+    const view = {};
+    for (const command of REDIS_COMMANDS) {
+      const multiKey = REDIS_MULTI_KEY_COMMANDS.includes(command);
+      view[command] = (key, ...args) => {
+        const redis = this.bot.redis;
+        if (!redis || typeof redis[command] !== 'function') {
+          throw new Error(`Redis不可用或不支持命令: ${command}`);
+        }
+        if (multiKey) {
+          return redis[command]([key, ...args].flat().map(check));
+        }
+        return redis[command](check(key), ...args);
+      };
+    }
+    return Object.freeze(view);
+  }
+
+  /**
+   * 生成脱敏的只读配置，去掉数据库与Redis连接信息，隐藏密码和令牌
+   */
+  redactConfig(config) {
+    const redact = (value) => {
+      if (Array.isArray(value)) {
+        return Object.freeze(value.map(redact));
+      }
+      if (!value || typeof value !== 'object') {
+        return value;
+      }
+      
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = SECRET_KEY.test(key) ? (item ? '******' : item) : redact(item);
+      }
+      return Object.freeze(result);
+    };
+    
+    const { database, redis, ...rest } = config;
+    return redact(rest);
+  }
+
+  /**
+   * 给插件的处理函数加上同步执行超时
+   */
+  guardPlugin(pluginId, plugin, filePath) {
+    const env = this.getEnvironment(filePath);
+    if (!env) {
+      return plugin;
+    }
+    
+    // restrict 为替换第一个参数的方法名，使插件拿到的上下文和事件对象不包含 Bot 实例
+    const guard = (fn, restrict = null) => {
+      if (typeof fn !== 'function') {
+        return fn;
+      }
+      return (first, ...rest) => {
+        const arg = restrict ? this[restrict](env, first) : first;
+        return this.invoke(env, () => fn(arg, ...rest));
+      };
+    };
+    
+    return {
+      ...plugin,
+      onMessage: guard(plugin.onMessage, 'restrictContext'),
+      onCommand: guard(plugin.onCommand, 'restrictContext'),
+      onEvent: guard(plugin.onEvent),
+      onUnload: guard(plugin.onUnload),
+      events: Object.fromEntries(Object.entries(plugin.events || {}).map(([name, handler]) => [name, guard(handler, 'restrictEvent')])),
+      commands: (plugin.commands || []).map(command => ({ ...command, handler: guard(command.handler, 'restrictContext') })),
+      tasks: (plugin.tasks || []).map(task => ({ ...task, fnc: guard(task.fnc) }))
+    };
+  }
+
+  /**
+   * 在插件上下文中调用函数，同步执行超过 handlerTimeout 时抛出超时错误
+   */
+  invoke(env, fn) {
+    const previous = env.context.__tianxinInvoke__;
+    env.context.__tianxinInvoke__ = fn;
+    try {
+      return INVOKE_SCRIPT.runInContext(env.context, this.timeout ? { timeout: this.timeout } : {});
+    } finally {
+      env.context.__tianxinInvoke__ = previous;
+    }
+  }
+
+  /**
+   * 判断路径是否位于某个目录内
+   */
+  isInside(target, dirs) {
+    return dirs.some(dir => target === dir || target.startsWith(dir + path.sep));
+  }
+}
+
+module.exports = { PluginIsolation };
@@ -1,59 +1,314 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const glob = require('glob');
+const { createRequire, register } = require('module');
+const { pathToFileURL } = require('url');
+const { RELOAD_PARAM, getModuleType } = require('./module-type');
 const { logger } = require('../utils/logger');
 
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+const MANIFEST_FILES = ['plugin.json', 'package.json'];
+
+// ESM加载钩子全局只需注册一次
+let hooksRegistered = false;
+
 class PluginLoader {
   constructor(pluginManager) {
     this.pluginManager = pluginManager;
     this.bot = pluginManager.bot;
     this.pluginDir = pluginManager.pluginDir;
+    this.generations = new Map(); // 插件包目录或单文件路径 -> ESM重载版本号
+    this.registerHooks();
   }
 
   /**
-   * 查找所有插件文件
+   * 注册ESM加载钩子，使插件模块图可以随重载整体刷新
+   * 低于 20.6 的 Node 不支持 module.register，此时重载只刷新入口文件
    */
-  async findPluginFiles() {
-    return new Promise((resolve, reject) => {
-      // 查找所有.js和.mjs文件，包括子目录
-      const pattern = path.join(this.pluginDir, '**', '*.{js,mjs}');
+  registerHooks() {
+    if (hooksRegistered) {
+      return;
+    }
+    if (typeof register !== 'function') {
+      logger.warn('当前Node版本不支持模块加载钩子，ES模块插件重载时只会刷新入口文件');
+      return;
+    }
+    
+    register('./esm-hooks.mjs', {
+      parentURL: pathToFileURL(__filename),
+      data: { pluginRoot: pathToFileURL(path.resolve(this.pluginDir) + path.sep).href }
+    });
+    hooksRegistered = true;
+  }
+
+  /**
+   * 扫描插件目录
+   * 含 plugin.json、package.json 或 index.js 的目录视为插件包，只加载包的入口；
+   * 其他目录中的脚本按单文件插件加载（如云崽的 example 目录）
+   */
+  async findPlugins(dir = this.pluginDir) {
+    const result = { packages: [], files: [] };
+    
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      logger.warn(`读取插件目录失败: ${dir}`, error);
+      return result;
+    }
+    
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+        continue;
+      }
       
-      glob(pattern, (err, files) => {
-        if (err) {
-          reject(err);
-          return;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (this.isPackageDir(fullPath)) {
+          const pkg = await this.readPackage(fullPath);
+          if (pkg) {
+            result.packages.push(pkg);
+          }
+        } else {
+          const nested = await this.findPlugins(fullPath);
+          result.packages.push(...nested.packages);
+          result.files.push(...nested.files);
         }
-        
-        // 过滤掉node_modules和其他不需要的目录
-        const filteredFiles = files.filter(file => {
-          const relativePath = path.relative(this.pluginDir, file);
-          return !relativePath.includes('node_modules') && 
-                 !relativePath.startsWith('.');
-        });
-        
-        resolve(filteredFiles);
-      });
+      } else if (this.isScriptFile(entry.name)) {
+        result.files.push(fullPath);
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * 查找所有需要加载的插件入口文件
+   */
+  async findPluginFiles() {
+    const { packages, files } = await this.findPlugins();
+    return [...packages.flatMap(pkg => pkg.entries), ...files];
+  }
+
+  /**
+   * 判断目录是否为插件包
+   */
+  isPackageDir(dir) {
+    return [...MANIFEST_FILES, 'index.js'].some(name => fsSync.existsSync(path.join(dir, name)));
+  }
+
+  /**
+   * 判断是否为脚本文件
+   */
+  isScriptFile(fileName) {
+    return SCRIPT_EXTENSIONS.includes(path.extname(fileName));
+  }
+
+  /**
+   * 判断文件变化是否需要重新加载插件：脚本文件或插件包清单
+   */
+  isWatchedFile(filePath) {
+    return this.isScriptFile(filePath) || MANIFEST_FILES.includes(path.basename(filePath));
+  }
+
+  /**
+   * 读取插件包的清单，plugin.json 优先，其次是 package.json 中的 tianxin 字段
+   * 返回 { name, version, dir, entries, bot, dependencies }，无可加载入口时返回null
+   */
+  async readPackage(dir) {
+    const pluginJson = await this.readJson(path.join(dir, 'plugin.json'));
+    const packageJson = await this.readJson(path.join(dir, 'package.json'));
+    const manifest = pluginJson || (packageJson && packageJson.tianxin) || {};
+    const base = pluginJson || packageJson || {};
+    
+    const pkg = {
+      name: base.name || path.basename(dir),
+      version: base.version || '0.0.0',
+      dir,
+      bot: manifest.bot || (packageJson && packageJson.engines && packageJson.engines['tianxin-bot']) || null,
+      dependencies: this.normalizeDependencies(manifest.dependencies || manifest.plugins),
+      npmDependencies: Object.keys((packageJson && packageJson.dependencies) || {}),
+      entries: []
+    };
+    
+    // 入口文件：清单中的 entry/main，默认 index.js
+    const entry = path.resolve(dir, manifest.entry || base.main || 'index.js');
+    if (fsSync.existsSync(entry)) {
+      pkg.entries.push(entry);
+    }
+    
+    // apps 目录中的每个脚本都是独立的插件；未声明 apps 时，只有缺少入口才使用默认的 apps 目录
+    const appsDir = manifest.apps || (pkg.entries.length === 0 ? 'apps' : null);
+    if (appsDir) {
+      pkg.entries.push(...await this.findAppFiles(path.resolve(dir, appsDir)));
+    }
+    
+    if (pkg.entries.length === 0) {
+      logger.warn(`插件包没有可加载的入口: ${dir}`);
+      return null;
+    }
+    return pkg;
+  }
+
+  /**
+   * 列出 apps 目录下的脚本，不递归子目录
+   */
+  async findAppFiles(appsDir) {
+    try {
+      const files = await fs.readdir(appsDir, { withFileTypes: true });
+      return files
+        .filter(file => file.isFile() && !file.name.startsWith('.') && this.isScriptFile(file.name))
+        .map(file => path.join(appsDir, file.name))
+        .sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`读取插件apps目录失败: ${appsDir}`, error);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * 统一依赖声明的格式为 { 插件包名: 版本范围 }，数组形式表示不限版本
+   */
+  normalizeDependencies(dependencies) {
+    if (!dependencies) {
+      return {};
+    }
+    if (Array.isArray(dependencies)) {
+      return Object.fromEntries(dependencies.map(name => [name, '*']));
+    }
+    return { ...dependencies };
+  }
+
+  /**
+   * 读取JSON文件，文件不存在时返回null
+   */
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`读取插件清单失败: ${filePath}`, error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * 查找文件所属的插件包目录，不属于任何插件包时返回null
+   */
+  findPackageDir(filePath) {
+    let dir = path.dirname(path.resolve(filePath));
+    const root = path.resolve(this.pluginDir);
+    
+    let found = null;
+    while (dir.startsWith(root + path.sep)) {
+      if (this.isPackageDir(dir)) {
+        found = dir;
+      }
+      dir = path.dirname(dir);
+    }
+    return found;
+  }
+
+  /**
+   * 检查插件包 package.json 中声明的npm依赖是否已安装在可解析的 node_modules 中
+   */
+  findMissingModules(pkg) {
+    const packageRequire = createRequire(path.join(pkg.dir, 'package.json'));
+    return pkg.npmDependencies.filter(name => {
+      try {
+        packageRequire.resolve(`${name}/package.json`);
+        return false;
+      } catch (error) {
+        return error.code === 'MODULE_NOT_FOUND';
+      }
     });
   }
 
+  /**
+   * 释放插件包的旧模块，下次加载时包内所有模块都重新执行
+   * CommonJS模块从 require.cache 中移除（不含包的 node_modules）；
+   * ES模块无法从Node的模块缓存中移除，改为更新版本号，使后续导入得到新的模块图，
+   * 旧模块图在插件卸载后不再被机器人引用
+   * 返回释放前的快照，新版本加载失败时可以用 restorePackage 恢复
+   */
+  releasePackage(pkg) {
+    const snapshot = { dir: pkg.dir, modules: new Map(), generation: this.generations.get(pkg.dir) };
+    for (const key of this.findPackageModules(pkg.dir)) {
+      snapshot.modules.set(key, require.cache[key]);
+      delete require.cache[key];
+    }
+    this.bumpGeneration(pkg.dir);
+    return snapshot;
+  }
+
+  /**
+   * 丢弃新版本加载的模块，恢复 releasePackage 之前的模块缓存和版本号
+   */
+  restorePackage(snapshot) {
+    for (const key of this.findPackageModules(snapshot.dir)) {
+      delete require.cache[key];
+    }
+    for (const [key, module] of snapshot.modules) {
+      require.cache[key] = module;
+    }
+    if (snapshot.generation === undefined) {
+      this.generations.delete(snapshot.dir);
+    } else {
+      this.generations.set(snapshot.dir, snapshot.generation);
+    }
+  }
+
+  /**
+   * 插件包内已缓存的CommonJS模块路径，不含包的 node_modules
+   */
+  findPackageModules(dir) {
+    const prefix = dir + path.sep;
+    const modulesDir = path.join(dir, 'node_modules') + path.sep;
+    return Object.keys(require.cache).filter(key => key.startsWith(prefix) && !key.startsWith(modulesDir));
+  }
+
+  /**
+   * 释放单文件插件的旧模块
+   */
+  releaseModule(filePath) {
+    const modulePath = path.resolve(filePath);
+    delete require.cache[modulePath];
+    this.bumpGeneration(modulePath);
+  }
+
+  /**
+   * 更新ESM重载版本号
+   */
+  bumpGeneration(key) {
+    this.generations.set(key, (this.generations.get(key) || 0) + 1);
+  }
+
   /**
    * 加载插件模块
+   * 插件包内的入口共享同一个版本号，因此包内公共模块只执行一次
    */
   async loadPluginModule(filePath) {
+    const modulePath = path.resolve(filePath);
+    const packageDir = this.findPackageDir(modulePath);
+    
     try {
-      // 清除模块缓存，确保加载最新版本
-      const modulePath = path.resolve(filePath);
-      
-      // 对于CommonJS模块
-      if (filePath.endsWith('.js') && !this.isESModule(filePath)) {
-        delete require.cache[require.resolve(modulePath)];
+      if (this.getModuleType(modulePath) === 'commonjs') {
+        delete require.cache[modulePath];
         return require(modulePath);
       }
       
-      // 对于ES模块
-      const moduleUrl = new URL(`file://${modulePath}`).href;
-      return import(moduleUrl);
+      // 单文件插件每次加载都使用新的版本号，插件包的版本号由 releasePackage 更新
+      const key = packageDir || modulePath;
+      if (!packageDir || !this.generations.has(key)) {
+        this.bumpGeneration(key);
+      }
+      
+      const moduleUrl = pathToFileURL(modulePath);
+      moduleUrl.searchParams.set(RELOAD_PARAM, this.generations.get(key));
+      return await import(moduleUrl.href);
     } catch (error) {
       logger.error(`加载插件模块失败: ${filePath}`, error);
       throw error;
@@ -61,18 +316,14 @@ class PluginLoader {
   }
 
   /**
-   * 判断是否是ES模块
+   * 判断插件模块类型，返回 'module' 或 'commonjs'
    */
-  isESModule(filePath) {
+  getModuleType(filePath) {
     try {
-      const content = fsSync.readFileSync(filePath, 'utf8');
-      // 简单判断是否包含ES模块的特征
-      return content.includes('import ') || 
-             content.includes('export ') ||
-             content.includes('from ');
+      return getModuleType(filePath);
     } catch (error) {
       logger.warn(`判断模块类型失败: ${filePath}`, error);
-      return false;
+      return 'commonjs';
     }
   }
 }
@@ -1,8 +1,16 @@
 const { EventEmitter } = require('events');
 const { PluginLoader } = require('./loader');
 const { PluginSandbox } = require('./sandbox');
+const { PluginState } = require('./state');
+const { ConversationManager } = require('./conversation');
+const { CommandRegistry } = require('./command');
+const { matchEvent } = require('./event');
+const { Scheduler } = require('./scheduler');
+const { PluginIsolation } = require('./isolation');
+const { StorageManager } = require('./storage');
 const { logger } = require('../utils/logger');
 const chokidar = require('chokidar');
+const semver = require('semver');
 const path = require('path');
 
 class PluginManager extends EventEmitter {
@@ -10,10 +18,29 @@ class PluginManager extends EventEmitter {
     super();
     this.bot = bot;
     this.plugins = new Map(); // 插件ID -> 插件实例
+    this.packages = new Map(); // 插件包名 -> 插件包信息
+    this.pluginDir = bot.config.pluginDir || path.join(process.cwd(), 'plugins');
     this.loader = new PluginLoader(this);
+    this.conversation = new ConversationManager(this);
+    this.commands = new CommandRegistry(this);
+    this.scheduler = new Scheduler(this);
+    this.isolation = new PluginIsolation(this);
+    this.storage = new StorageManager(this);
     this.sandbox = new PluginSandbox(this);
-    this.pluginDir = bot.config.pluginDir || path.join(process.cwd(), 'plugins');
     this.watcher = null;
+    this.pendingChanges = new Map(); // 等待重载的文件 -> 变化类型
+    this.reloadTimer = null;
+    this.reloading = Promise.resolve();
+    
+    const pluginConfig = bot.config.plugins || {};
+    this.priorityOverrides = pluginConfig.priority || {}; // 配置中覆盖的插件优先级
+    this.reloadDelay = pluginConfig.reloadDelay !== undefined ? pluginConfig.reloadDelay : 500; // 热重载防抖时间(ms)
+    this.handlerTimeout = pluginConfig.handlerTimeout || 0; // 插件单次处理的超时时间(ms)
+    this.state = new PluginState(
+      pluginConfig.stateFile || path.join(process.cwd(), 'data', 'plugin-state.json'),
+      pluginConfig.disabled || []
+    );
+    this.ordered = []; // 按优先级排序后的插件列表
   }
 
   /**
@@ -22,6 +49,12 @@ class PluginManager extends EventEmitter {
   async initialize() {
     logger.info(`插件目录: ${this.pluginDir}`);
     
+    // 读取插件启用状态
+    this.state.load();
+    
+    // 注册内置插件
+    this.registerBuiltinPlugins();
+    
     // 如果启用了热重载，设置文件监听器
     if (this.bot.config.pluginHotReload) {
       this.setupWatcher();
@@ -34,45 +67,160 @@ class PluginManager extends EventEmitter {
   async loadPlugins() {
     logger.info('开始加载插件...');
     
-    const pluginFiles = await this.loader.findPluginFiles();
-    logger.info(`发现 ${pluginFiles.length} 个插件文件`);
+    const { packages, files } = await this.loader.findPlugins();
+    logger.info(`发现 ${packages.length} 个插件包，${files.length} 个单文件插件`);
     
-    for (const file of pluginFiles) {
+    await this.loadPackages(packages);
+    for (const file of files) {
       await this.loadPlugin(file);
     }
     
     logger.info(`插件加载完成，共加载 ${this.plugins.size} 个插件`);
   }
 
+  /**
+   * 按依赖顺序加载插件包，被依赖的插件包先加载
+   */
+  async loadPackages(packages) {
+    for (const pkg of this.sortPackages(packages)) {
+      await this.loadPackage(pkg);
+    }
+  }
+
+  /**
+   * 按依赖关系排序插件包，循环依赖的插件包保持原有顺序，由 checkPackage 报告缺少的依赖
+   */
+  sortPackages(packages) {
+    const sorted = [];
+    let pending = [...packages];
+    
+    while (pending.length > 0) {
+      // 依赖均已排好（或不在列表中）的插件包可以加载
+      const ready = pending.filter(pkg => Object.keys(pkg.dependencies).every(name => {
+        return !pending.some(other => other.name === name);
+      }));
+      
+      const batch = ready.length > 0 ? ready : pending;
+      sorted.push(...batch);
+      pending = pending.filter(pkg => !batch.includes(pkg));
+    }
+    
+    return sorted;
+  }
+
+  /**
+   * 加载插件包的全部入口，检查机器人版本和依赖插件
+   */
+  async loadPackage(pkg) {
+    try {
+      await this.replacePackage(pkg);
+      return true;
+    } catch (error) {
+      logger.error(`插件包 ${pkg.name} 加载失败`, error);
+      return false;
+    }
+  }
+
+  /**
+   * 加载插件包的新版本并替换已加载的旧版本
+   * 新版本的全部入口初始化成功后才卸载旧版本，任一入口失败时抛出错误，旧版本继续运行
+   */
+  async replacePackage(pkg) {
+    const problem = this.checkPackage(pkg);
+    if (problem) {
+      throw new Error(problem);
+    }
+    
+    const missing = this.loader.findMissingModules(pkg);
+    if (missing.length > 0) {
+      logger.warn(`插件包 ${pkg.name} 缺少依赖 ${missing.join(', ')}，请在 ${pkg.dir} 中执行 npm install`);
+    }
+    
+    // 包内的辅助模块随入口一起重新加载，新版本准备失败时恢复旧版本的模块缓存
+    const snapshot = this.loader.releasePackage(pkg);
+    
+    const prepared = [];
+    for (const entry of pkg.entries) {
+      try {
+        prepared.push(await this.preparePlugin(entry, pkg));
+      } catch (error) {
+        await this.discardPrepared(prepared);
+        this.loader.restorePackage(snapshot);
+        error.message = `${path.relative(this.pluginDir, entry)}: ${error.message}`;
+        throw error;
+      }
+    }
+    
+    // 新版本就绪，替换旧版本
+    for (const pluginInfo of [...this.plugins.values()]) {
+      if (pluginInfo.package === pkg.name) {
+        await this.deactivatePlugin(pluginInfo.id);
+      }
+    }
+    this.packages.set(pkg.name, pkg);
+    for (const item of prepared) {
+      this.activatePlugin(item, pkg);
+    }
+    
+    logger.info(`插件包加载完成: ${pkg.name}@${pkg.version}，共 ${prepared.length} 个插件`);
+  }
+
+  /**
+   * 检查插件包能否加载，返回不能加载的原因，可以加载时返回null
+   */
+  checkPackage(pkg) {
+    if (pkg.bot && !semver.satisfies(this.bot.version, pkg.bot, { includePrerelease: true })) {
+      return `需要机器人版本 ${pkg.bot}，当前版本 ${this.bot.version}`;
+    }
+    
+    for (const [name, range] of Object.entries(pkg.dependencies)) {
+      const dependency = this.packages.get(name);
+      if (!dependency) {
+        return `缺少依赖插件 ${name}`;
+      }
+      if (!semver.satisfies(dependency.version, range, { includePrerelease: true })) {
+        return `依赖插件 ${name} 的版本 ${dependency.version} 不满足 ${range}`;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * 获取依赖指定插件包的其他插件包
+   */
+  getDependents(name) {
+    return [...this.packages.values()].filter(pkg => pkg.dependencies[name] !== undefined);
+  }
+
+  /**
+   * 卸载插件包的全部插件
+   */
+  async unloadPackage(name) {
+    const dependents = this.getDependents(name);
+    if (dependents.length > 0) {
+      logger.warn(`插件包 ${name} 被 ${dependents.map(pkg => pkg.name).join(', ')} 依赖，卸载后这些插件可能无法正常工作`);
+    }
+    
+    for (const pluginInfo of [...this.plugins.values()]) {
+      if (pluginInfo.package === name) {
+        await this.unloadPlugin(pluginInfo.id);
+      }
+    }
+    
+    const pkg = this.packages.get(name);
+    if (pkg) {
+      this.loader.releasePackage(pkg);
+      this.packages.delete(name);
+    }
+  }
+
   /**
    * 加载单个插件
    */
   async loadPlugin(filePath) {
     try {
-      const pluginId = this.getPluginId(filePath);
-      
-      // 如果插件已加载，先卸载
-      if (this.plugins.has(pluginId)) {
-        await this.unloadPlugin(pluginId);
-      }
-      
-      // 加载插件模块
-      const pluginModule = await this.loader.loadPluginModule(filePath);
-      
-      // 在沙箱中初始化插件
-      const plugin = await this.sandbox.initializePlugin(pluginModule, filePath);
-      
-      // 存储插件
-      this.plugins.set(pluginId, {
-        id: pluginId,
-        path: filePath,
-        instance: plugin,
-        module: pluginModule,
-        loadedAt: new Date()
-      });
-      
-      logger.info(`插件加载成功: ${pluginId} (${filePath})`);
-      this.emit('plugin-loaded', pluginId, plugin);
+      await this.replacePlugin(filePath);
       return true;
     } catch (error) {
       logger.error(`插件加载失败: ${filePath}`, error);
@@ -80,6 +228,104 @@ class PluginManager extends EventEmitter {
     }
   }
 
+  /**
+   * 加载单文件插件的新版本，初始化成功后才替换已加载的旧版本
+   */
+  async replacePlugin(filePath) {
+    const prepared = await this.preparePlugin(filePath);
+    
+    if (this.plugins.has(prepared.id)) {
+      await this.deactivatePlugin(prepared.id);
+    }
+    this.activatePlugin(prepared, null);
+  }
+
+  /**
+   * 加载插件模块并在沙箱中初始化，此时插件尚未接收消息
+   * 配置为受限运行的插件在独立的 vm 上下文中加载
+   */
+  async preparePlugin(filePath, pkg = null) {
+    const pluginId = this.getPluginId(filePath);
+    const isolated = this.isolation.isIsolated(pluginId, pkg);
+    
+    const pluginModule = isolated
+      ? this.isolation.loadModule(pluginId, filePath, pkg)
+      : await this.loader.loadPluginModule(filePath);
+    let plugin = await this.sandbox.initializePlugin(pluginModule, filePath);
+    if (isolated) {
+      plugin = this.isolation.guardPlugin(pluginId, plugin, filePath);
+    }
+    
+    return {
+      id: pluginId,
+      path: filePath,
+      module: pluginModule,
+      instance: plugin
+    };
+  }
+
+  /**
+   * 丢弃未启用的新插件实例
+   */
+  async discardPrepared(prepared) {
+    for (const { id, instance } of prepared) {
+      try {
+        await instance.onUnload();
+      } catch (error) {
+        logger.warn(`丢弃插件 ${id} 的新实例时出错: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 启用已初始化的插件，注册命令和定时任务，pkg 为插件所属的插件包
+   */
+  activatePlugin({ id, path: filePath, module: pluginModule, instance: plugin }, pkg) {
+    this.plugins.set(id, {
+      id,
+      path: filePath,
+      instance: plugin,
+      module: pluginModule,
+      package: pkg ? pkg.name : null,
+      priority: this.resolvePriority(id, plugin),
+      loadedAt: new Date()
+    });
+    this.sortPlugins();
+    
+    // 注册插件声明的命令和定时任务
+    this.commands.registerPlugin(id, plugin.name, plugin.commands);
+    this.scheduler.registerPlugin(id, plugin.tasks);
+    
+    logger.info(`插件加载成功: ${id} (${filePath})`);
+    this.emit('plugin-loaded', id, plugin);
+  }
+
+  /**
+   * 停用插件：调用卸载方法，结束会话，移除命令和定时任务
+   */
+  async deactivatePlugin(pluginId) {
+    const pluginInfo = this.plugins.get(pluginId);
+    
+    // 调用插件的卸载方法，出错不影响移除插件
+    if (typeof pluginInfo.instance.onUnload === 'function') {
+      try {
+        await pluginInfo.instance.onUnload();
+      } catch (error) {
+        logger.error(`插件 ${pluginId} 卸载方法出错`, error);
+      }
+    }
+    
+    // 结束插件未完成的会话，移除插件注册的命令，取消定时任务
+    this.conversation.clearPlugin(pluginId);
+    this.commands.unregisterPlugin(pluginId);
+    this.scheduler.cancelPlugin(pluginId);
+    
+    // 从插件列表中移除
+    this.plugins.delete(pluginId);
+    this.sortPlugins();
+    return pluginInfo;
+  }
+
   /**
    * 卸载插件
    */
@@ -89,15 +335,15 @@ class PluginManager extends EventEmitter {
         return false;
       }
       
-      const pluginInfo = this.plugins.get(pluginId);
+      const pluginInfo = await this.deactivatePlugin(pluginId);
       
-      // 调用插件的卸载方法
-      if (typeof pluginInfo.instance.onUnload === 'function') {
-        await pluginInfo.instance.onUnload();
+      // 释放单文件插件的旧模块，插件包由 unloadPackage 统一释放
+      if (pluginInfo.path && !pluginInfo.package) {
+        this.loader.releaseModule(pluginInfo.path);
+      }
+      if (pluginInfo.path) {
+        this.isolation.release(pluginInfo.path);
       }
-      
-      // 从插件列表中移除
-      this.plugins.delete(pluginId);
       
       logger.info(`插件卸载成功: ${pluginId}`);
       this.emit('plugin-unloaded', pluginId);
@@ -114,13 +360,48 @@ class PluginManager extends EventEmitter {
   async handleMessage(context) {
     let handled = false;
     
-    // 遍历所有插件，调用消息处理方法
-    for (const [pluginId, pluginInfo] of this.plugins) {
+    // 等待中的多轮会话优先截获消息
+    if (await this.conversation.dispatch(context)) {
+      return true;
+    }
+    
+    // 已注册的命令在所属插件的优先级位置处理，与其他插件的规则按优先级竞争
+    const command = this.commands.match(context);
+    let deniedLevel = null; // 因字符串权限被跳过的插件要求的等级
+    
+    // 按优先级遍历插件，调用消息处理方法
+    for (const pluginInfo of this.ordered) {
+      const pluginId = pluginInfo.id;
+      if (!this.isPluginEnabled(pluginId, context.groupId)) {
+        continue;
+      }
+      
+      // 检查插件声明的权限
+      const access = this.checkPluginPermission(pluginInfo.instance, context);
+      if (access === 'skip') {
+        deniedLevel = deniedLevel || this.getRequiredPermission(pluginInfo.instance, context);
+        continue;
+      }
+      if (access === 'deny') {
+        await this.bot.permission.deny(context, this.getRequiredPermission(pluginInfo.instance, context));
+        handled = true;
+        break;
+      }
+      
+      // 提供等待下一条消息的方法，会话归属当前插件
+      context.prompt = (message, options) => this.conversation.prompt(pluginId, context, message, options);
+      
       try {
+        // 交给命令框架处理该插件注册的命令
+        if (command && command.pluginId === pluginId && await this.commands.handle(context, command)) {
+          handled = true;
+          break;
+        }
+        
         // 检查插件是否有消息处理方法
         if (typeof pluginInfo.instance.onMessage === 'function') {
           // 调用插件的消息处理方法
-          const result = await pluginInfo.instance.onMessage(context);
+          const result = await this.runHandler(pluginId, 'onMessage', () => pluginInfo.instance.onMessage(context));
           
           // 如果插件处理了消息，且返回true，则停止后续插件处理
           if (result === true) {
@@ -131,7 +412,7 @@ class PluginManager extends EventEmitter {
         
         // 检查是否有命令处理方法
         if (context.isCommand && typeof pluginInfo.instance.onCommand === 'function') {
-          const result = await pluginInfo.instance.onCommand(context);
+          const result = await this.runHandler(pluginId, 'onCommand', () => pluginInfo.instance.onCommand(context));
           if (result === true) {
             handled = true;
             break;
@@ -142,17 +423,112 @@ class PluginManager extends EventEmitter {
       }
     }
     
+    // 命令参数有误且没有其他插件处理时回复用法
+    if (!handled && context.commandError) {
+      await context.reply(context.commandError).catch(error => {
+        logger.error('回复命令用法失败:', error);
+      });
+      handled = true;
+    }
+    
+    // 命令因权限不足被跳过且没有其他插件处理时，回复权限不足而不是未知命令
+    if (!handled && context.isCommand && deniedLevel) {
+      await this.bot.permission.deny(context, deniedLevel);
+      handled = true;
+    }
+    
     return handled;
   }
 
   /**
-   * 处理事件，分发给插件
+   * 执行插件的处理函数，超过 handlerTimeout 时放弃等待并返回 undefined，不阻塞后续插件
+   * 已超时的处理函数仍会在后台继续执行，其结果被忽略
+   */
+  async runHandler(pluginId, name, handler) {
+    if (!this.handlerTimeout) {
+      return handler();
+    }
+    
+    let timer = null;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => {
+        logger.warn(`插件 ${pluginId} 的 ${name} 执行超过 ${this.handlerTimeout}ms，已放弃等待`);
+        resolve(undefined);
+      }, this.handlerTimeout);
+    });
+    
+    try {
+      return await Promise.race([Promise.resolve().then(handler), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 获取插件对当前消息要求的权限等级
+   * permission 为字符串时作用于插件的全部处理；为对象时按命令名声明 { 命令: 等级 }
+   */
+  getRequiredPermission(plugin, context) {
+    const { permission } = plugin;
+    if (!permission) {
+      return null;
+    }
+    if (typeof permission === 'string') {
+      return permission;
+    }
+    return context.isCommand ? permission[context.command] || null : null;
+  }
+
+  /**
+   * 检查插件权限，返回 'allow'、'skip'（跳过该插件）或 'deny'（回复权限不足并结束分发）
+   * 字符串形式的权限无法确定插件是否处理该消息，因此权限不足时先跳过插件，
+   * 命令最终没有被其他插件处理时由 handleMessage 回复权限不足
+   */
+  checkPluginPermission(plugin, context) {
+    const level = this.getRequiredPermission(plugin, context);
+    if (!level || this.bot.permission.check(context, level)) {
+      return 'allow';
+    }
+    return typeof plugin.permission === 'string' ? 'skip' : 'deny';
+  }
+
+  /**
+   * 处理通知/请求事件，account 为收到上报的账号
+   * events 按云崽事件名订阅，处理函数返回true时不再分发给后续插件的订阅
+   * onEvent 与之前保持一致：每个插件都会收到 OneBot 原始上报，返回值被忽略
    */
-  async handleEvent(event) {
-    for (const [pluginId, pluginInfo] of this.plugins) {
+  async handleEvent(event, account) {
+    // 统一转换为带云崽事件名的事件对象，如 notice.group.increase
+    const e = this.sandbox.createYunzaiNoticeEvent(event, account);
+    let stopped = false;
+    
+    for (const pluginInfo of this.ordered) {
+      const pluginId = pluginInfo.id;
+      if (!this.isPluginEnabled(pluginId, e.group_id)) {
+        continue;
+      }
+      
+      const { instance } = pluginInfo;
+      
+      // 按事件名订阅的处理函数
+      if (!stopped) {
+        try {
+          for (const [pattern, handler] of Object.entries(instance.events || {})) {
+            if (typeof handler === 'function' && matchEvent(pattern, e.eventName)
+              && await this.runHandler(pluginId, pattern, () => handler(e)) === true) {
+              stopped = true;
+              break;
+            }
+          }
+        } catch (error) {
+          logger.error(`插件 ${pluginId} 处理事件出错`, error);
+        }
+      }
+      
+      // onEvent 接收原始上报
       try {
-        if (typeof pluginInfo.instance.onEvent === 'function') {
-          await pluginInfo.instance.onEvent(event);
+        if (typeof instance.onEvent === 'function') {
+          await this.runHandler(pluginId, 'onEvent', () => instance.onEvent(e.raw));
         }
       } catch (error) {
         logger.error(`插件 ${pluginId} 处理事件出错`, error);
@@ -161,58 +537,225 @@ class PluginManager extends EventEmitter {
   }
 
   /**
-   * 根据文件路径生成插件ID
+   * 注册内置插件
+   */
+  registerBuiltinPlugins() {
+    const builtins = {
+      manage: require('./builtin/manage'),
+      help: require('./builtin/help'),
+      task: require('./builtin/task')
+    };
+    
+    for (const [name, factory] of Object.entries(builtins)) {
+      const pluginId = `builtin/${name}`;
+      const definition = factory(this);
+      const plugin = this.sandbox.adaptPluginObject(definition, `${pluginId}.js`);
+      
+      this.plugins.set(pluginId, {
+        id: pluginId,
+        path: null,
+        instance: plugin,
+        module: null,
+        priority: this.resolvePriority(pluginId, plugin),
+        builtin: true,
+        protected: definition.protected === true,
+        loadedAt: new Date()
+      });
+      this.commands.registerPlugin(pluginId, plugin.name, plugin.commands);
+      this.scheduler.registerPlugin(pluginId, plugin.tasks);
+    }
+    
+    this.sortPlugins();
+  }
+
+  /**
+   * 计算插件优先级，配置覆盖优先于插件元数据，数值越小越先执行
+   */
+  resolvePriority(pluginId, plugin) {
+    if (this.priorityOverrides[pluginId] !== undefined) {
+      return Number(this.priorityOverrides[pluginId]);
+    }
+    if (plugin && Number.isFinite(Number(plugin.priority))) {
+      return Number(plugin.priority);
+    }
+    return 5000;
+  }
+
+  /**
+   * 重新按优先级排序插件，优先级相同时按插件ID排序，保证顺序稳定
+   */
+  sortPlugins() {
+    this.ordered = Array.from(this.plugins.values()).sort((a, b) => {
+      return a.priority - b.priority || a.id.localeCompare(b.id);
+    });
+  }
+
+  /**
+   * 获取按优先级排序的插件列表
+   */
+  getOrderedPlugins() {
+    return this.ordered;
+  }
+
+  /**
+   * 判断插件在指定群（或全局）是否启用
+   */
+  isPluginEnabled(pluginId, groupId = null) {
+    const pluginInfo = this.plugins.get(pluginId);
+    if (pluginInfo && pluginInfo.protected) {
+      return true;
+    }
+    return this.state.isEnabled(pluginId, groupId);
+  }
+
+  /**
+   * 启用或禁用插件，传入群号时只影响该群，插件不会被卸载
+   */
+  setPluginEnabled(pluginId, enabled, groupId = null) {
+    const pluginInfo = this.plugins.get(pluginId);
+    if (pluginInfo && pluginInfo.protected) {
+      throw new Error(`插件不允许被禁用: ${pluginId}`);
+    }
+    
+    this.state.setEnabled(pluginId, enabled, groupId);
+    logger.info(`插件 ${pluginId} 已${enabled ? '启用' : '禁用'}${groupId ? `（群 ${groupId}）` : '（全局）'}`);
+    this.emit('plugin-state-changed', pluginId, enabled, groupId);
+  }
+
+  /**
+   * 根据文件路径生成插件ID，插件包的入口 index.js 以包目录作为ID
    */
   getPluginId(filePath) {
     const relativePath = path.relative(this.pluginDir, filePath);
-    return relativePath.replace(/\\/g, '/').replace(/\.js$/, '');
+    return relativePath.replace(/\\/g, '/').replace(/\.[cm]?js$/, '').replace(/\/index$/, '');
   }
 
   /**
    * 设置文件监听器，实现热重载
+   * 文件变化先合并等待 reloadDelay 毫秒，避免一次保存多个文件时反复重载
    */
   setupWatcher() {
     this.watcher = chokidar.watch(this.pluginDir, {
-      ignored: /(^|\/)\../, // 忽略隐藏文件
+      ignored: /(^|[\/\\])(\..|node_modules)/, // 忽略隐藏文件和依赖目录
       persistent: true,
       ignoreInitial: true
     });
     
-    // 监听文件添加
-    this.watcher.on('add', async (filePath) => {
-      if (filePath.endsWith('.js') || filePath.endsWith('.mjs')) {
-        logger.info(`检测到新插件: ${filePath}`);
-        await this.loadPlugin(filePath);
+    for (const type of ['add', 'change', 'unlink']) {
+      this.watcher.on(type, (filePath) => this.scheduleReload(filePath, type));
+    }
+    
+    logger.info('插件热重载已启用');
+  }
+
+  /**
+   * 记录变化的文件，防抖后统一重载
+   */
+  scheduleReload(filePath, type) {
+    if (!this.loader.isWatchedFile(filePath)) {
+      return;
+    }
+    
+    this.pendingChanges.set(path.resolve(filePath), type);
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      // 串行执行，上一轮重载未结束时排队等待；出错时只记录日志，保证后续重载继续执行
+      this.reloading = this.reloading.then(() => this.flushReload()).catch(error => {
+        logger.error('插件热重载出错:', error);
+      });
+    }, this.reloadDelay);
+  }
+
+  /**
+   * 重载所有变化的插件
+   * 插件包内任意文件变化都重新加载整个插件包，依赖它的插件包随后一起重新加载
+   */
+  async flushReload() {
+    const changes = this.pendingChanges;
+    this.pendingChanges = new Map();
+    
+    const packageDirs = new Set();
+    const files = new Map();
+    for (const [filePath, type] of changes) {
+      const packageDir = this.loader.findPackageDir(filePath);
+      if (packageDir) {
+        packageDirs.add(packageDir);
+      } else if (this.loader.isScriptFile(filePath)) {
+        files.set(filePath, type);
       }
-    });
+    }
     
-    // 监听文件变化
-    this.watcher.on('change', async (filePath) => {
-      if (filePath.endsWith('.js') || filePath.endsWith('.mjs')) {
-        logger.info(`插件文件已更新: ${filePath}`);
-        await this.loadPlugin(filePath);
+    // 依赖变化插件包的插件包也需要重新加载，以使用新的依赖实例（Set 遍历时会包含新加入的目录）
+    for (const dir of packageDirs) {
+      const loaded = this.findPackageByDir(dir);
+      if (loaded) {
+        this.getDependents(loaded.name).forEach(pkg => packageDirs.add(pkg.dir));
       }
-    });
+    }
+    
+    const packages = [];
+    for (const dir of packageDirs) {
+      const pkg = await this.loader.readPackage(dir);
+      if (pkg) {
+        packages.push(pkg);
+        continue;
+      }
+      
+      // 目录已不是有效的插件包
+      const loaded = this.findPackageByDir(dir);
+      if (loaded) {
+        logger.info(`插件包已移除: ${loaded.name}`);
+        await this.unloadPackage(loaded.name);
+      }
+    }
     
-    // 监听文件删除
-    this.watcher.on('unlink', async (filePath) => {
-      if (filePath.endsWith('.js') || filePath.endsWith('.mjs')) {
-        const pluginId = this.getPluginId(filePath);
+    for (const pkg of this.sortPackages(packages)) {
+      logger.info(`插件包文件已更新，重新加载: ${pkg.name}`);
+      await this.reloadWithReport(`插件包 ${pkg.name}`, this.packages.has(pkg.name), () => this.replacePackage(pkg));
+    }
+    
+    for (const [filePath, type] of files) {
+      const pluginId = this.getPluginId(filePath);
+      if (type === 'unlink') {
         logger.info(`插件文件已删除: ${filePath}`);
         await this.unloadPlugin(pluginId);
+        continue;
       }
-    });
-    
-    logger.info('插件热重载已启用');
+      
+      logger.info(type === 'add' ? `检测到新插件: ${filePath}` : `插件文件已更新: ${filePath}`);
+      await this.reloadWithReport(`插件 ${pluginId}`, this.plugins.has(pluginId), () => this.replacePlugin(filePath));
+    }
+  }
+
+  /**
+   * 执行重载，失败时保留旧版本并私聊通知主人
+   */
+  async reloadWithReport(target, hasOldVersion, reload) {
+    try {
+      await reload();
+    } catch (error) {
+      logger.error(`${target} 热重载失败${hasOldVersion ? '，继续运行旧版本' : ''}`, error);
+      await this.bot.sendMasterMsg(`${target} 热重载失败${hasOldVersion ? '，已保留旧版本' : ''}\n${error.message}`);
+    }
+  }
+
+  /**
+   * 根据目录查找已加载的插件包
+   */
+  findPackageByDir(dir) {
+    return [...this.packages.values()].find(pkg => pkg.dir === dir) || null;
   }
 
   /**
    * 获取所有插件信息
    */
   getPluginsInfo() {
-    return Array.from(this.plugins.values()).map(plugin => ({
+    return this.ordered.map(plugin => ({
       id: plugin.id,
       path: plugin.path,
+      package: plugin.package || null,
+      priority: plugin.priority,
+      enabled: this.isPluginEnabled(plugin.id),
       loadedAt: plugin.loadedAt
     }));
   }
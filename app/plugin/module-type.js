@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// 插件重新加载时附加在ESM模块URL上的版本参数，同一参数值的模块属于同一次加载
+const RELOAD_PARAM = 'tianxin_reload';
+
+// 按CommonJS编译时，这些语法错误说明文件实际是ES模块
+const ESM_SYNTAX_ERRORS = [
+  'Cannot use import statement outside a module',
+  'Unexpected token \'export\'',
+  'Cannot use \'import.meta\' outside a module',
+  'await is only valid in async functions and the top level bodies of modules'
+];
+
+/**
+ * 判断脚本的模块类型，返回 'module' 或 'commonjs'
+ * 依次根据扩展名、最近的 package.json 中的 type 字段判断，都无法确定时检查语法
+ */
+function getModuleType(filePath) {
+  const ext = path.extname(filePath);
+  if (ext === '.mjs') return 'module';
+  if (ext === '.cjs') return 'commonjs';
+  
+  const type = findPackageType(path.dirname(filePath));
+  if (type) {
+    return type;
+  }
+  
+  return detectModuleSyntax(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * 查找最近的 package.json 声明的 type，未声明或无法解析时返回null
+ * 与 Node 一样只看最近的一个 package.json；但 Node 遇到无法解析的 package.json 会抛出
+ * ERR_INVALID_PACKAGE_CONFIG，这里返回null，改为按语法判断（机器人自身的 package.json 带有注释，不是合法的JSON）
+ */
+function findPackageType(dir) {
+  let current = path.resolve(dir);
+  
+  while (true) {
+    const file = path.join(current, 'package.json');
+    if (fs.existsSync(file)) {
+      try {
+        const { type } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return type === 'module' || type === 'commonjs' ? type : null;
+      } catch (error) {
+        return null;
+      }
+    }
+    
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * 按CommonJS编译源码，只有出现ES模块特有的语法错误时才判定为ES模块
+ * 注释和字符串中的 import/export 不会影响结果
+ */
+function detectModuleSyntax(source) {
+  try {
+    vm.compileFunction(source.replace(/^#!.*/, ''), ['exports', 'require', 'module', '__filename', '__dirname']);
+    return 'commonjs';
+  } catch (error) {
+    if (error instanceof SyntaxError && ESM_SYNTAX_ERRORS.some(message => error.message.includes(message))) {
+      return 'module';
+    }
+    // 其他语法错误交给 require 报告
+    return 'commonjs';
+  }
+}
+
+module.exports = { RELOAD_PARAM, getModuleType, findPackageType, detectModuleSyntax };
@@ -0,0 +1,126 @@
+/**
+ * 云崽风格的插件基类，插件通过全局变量 plugin 继承使用
+ *
+ * class Example extends plugin {
+ *   constructor() {
+ *     super({
+ *       name: '示例', dsc: '示例插件', event: 'message', priority: 5000,
+ *       rule: [{ reg: '^#示例$', fnc: 'example', permission: 'master' }]
+ *     });
+ *   }
+ *   async example(e) { await this.reply('hello'); }
+ * }
+ */
+class Plugin {
+  constructor({
+    name = 'your-plugin',
+    dsc = '无',
+    event = 'message',
+    priority = 5000,
+    rule = [],
+    task = null,
+    handler = null,
+    namespace = ''
+  } = {}) {
+    this.name = name;         // 插件名称
+    this.dsc = dsc;           // 插件描述
+    this.event = event;       // 监听的事件，如 message、message.group
+    this.priority = priority; // 优先级，数值越小越先执行
+    this.rule = rule;         // 规则表 [{ reg, fnc, event, permission }]
+    this.task = task;         // 定时任务
+    this.handler = handler;
+    this.namespace = namespace;
+    this.e = null;            // 当前处理的事件对象，由框架在调用前注入
+    this.runtime = null;      // 框架运行时（插件ID、会话管理等），由框架在调用前注入
+  }
+
+  /**
+   * 插件专属的存储，如 await this.storage.group(this.e.group_id).get('config')
+   */
+  get storage() {
+    return this.runtime ? this.runtime.storage : null;
+  }
+
+  /**
+   * 回复当前消息
+   */
+  reply(msg = '', quote = false, data = {}) {
+    if (!this.e || typeof this.e.reply !== 'function' || !msg) {
+      return false;
+    }
+    return this.e.reply(msg, quote, data);
+  }
+
+  /**
+   * 当前会话的键，isGroup为true时群内任何人的下一条消息都会被截获
+   */
+  conKey(isGroup = false) {
+    return this.runtime.conversation.getKey(this.e.group_id, this.e.user_id, isGroup);
+  }
+
+  /**
+   * 开启上下文，该用户的下一条消息将交给 this[type] 处理
+   * time 为超时时间（秒），超时后回复 timeout 提示
+   */
+  setContext(type, isGroup = false, time = 120, timeout = '操作超时已取消') {
+    if (!this.runtime || !this.e) {
+      return false;
+    }
+    
+    const { conversation, pluginId, createEvent } = this.runtime;
+    const e = this.e;
+    
+    conversation.start({
+      pluginId,
+      groupId: e.group_id,
+      userId: e.user_id,
+      wholeGroup: isGroup,
+      timeout: time * 1000,
+      data: { type, e },
+      handler: async (context) => {
+        const app = new this.constructor();
+        app.runtime = this.runtime;
+        app.e = createEvent(context);
+        return app[type](app.e);
+      },
+      onTimeout: () => timeout && e.reply(timeout, true)
+    });
+    
+    return e;
+  }
+
+  /**
+   * 获取开启上下文时的事件对象
+   */
+  getContext(type, isGroup = false) {
+    if (!this.runtime || !this.e) {
+      return undefined;
+    }
+    
+    const session = this.runtime.conversation.get(this.conKey(isGroup));
+    if (!session || session.pluginId !== this.runtime.pluginId) {
+      return undefined;
+    }
+    if (type) {
+      return session.data.type === type ? session.data.e : undefined;
+    }
+    return { [session.data.type]: session.data.e };
+  }
+
+  /**
+   * 结束上下文
+   */
+  finish(type, isGroup = false) {
+    if (!this.runtime || !this.e) {
+      return;
+    }
+    
+    const key = this.conKey(isGroup);
+    const session = this.runtime.conversation.get(key);
+    if (session && session.pluginId === this.runtime.pluginId && (!type || session.data.type === type)) {
+      this.runtime.conversation.finish(key);
+    }
+  }
+}
+
+module.exports = { Plugin };
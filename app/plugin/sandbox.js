@@ -1,18 +1,39 @@
 const vm = require('vm');
 const path = require('path');
+const { createRequire } = require('module');
 const { logger } = require('../utils/logger');
 const dayjs = require('dayjs');
+const segment = require('../bot/segment');
+const { Plugin } = require('./plugin');
+const { EventBuilder, matchEvent } = require('./event');
 
 class PluginSandbox {
   constructor(pluginManager) {
     this.pluginManager = pluginManager;
     this.bot = pluginManager.bot;
+    this.eventBuilder = new EventBuilder(this.bot);
+    this.installGlobals();
+  }
+
+  /**
+   * 注册云崽插件直接使用的全局变量
+   * 云崽插件通常在模块顶层引用这些变量，因此需要在加载插件模块前注册
+   */
+  installGlobals() {
+    global.segment = segment;
+    global.plugin = Plugin;
   }
 
   /**
    * 初始化插件，提供兼容云崽/喵崽的环境
    */
   async initializePlugin(pluginModule, filePath) {
+    // 云崽风格的类插件，一个文件可能导出多个类
+    const pluginClasses = this.findPluginClasses(pluginModule);
+    if (pluginClasses.length > 0) {
+      return this.adaptRulePlugins(pluginClasses, filePath);
+    }
+    
     // 提取插件导出的内容
     const pluginExports = pluginModule.default || pluginModule;
     
@@ -33,6 +54,181 @@ class PluginSandbox {
     };
   }
 
+  /**
+   * 查找模块导出的所有继承自 plugin 基类的类
+   */
+  findPluginClasses(pluginModule) {
+    const isPluginClass = (value) => typeof value === 'function' && value.prototype instanceof Plugin;
+    
+    if (isPluginClass(pluginModule)) {
+      return [pluginModule];
+    }
+    if (!pluginModule || typeof pluginModule !== 'object') {
+      return [];
+    }
+    
+    return [...new Set(Object.values(pluginModule).filter(isPluginClass))];
+  }
+
+  /**
+   * 适配云崽风格的规则插件，按 rule 表中的正则匹配消息并调用对应方法
+   */
+  adaptRulePlugins(pluginClasses, filePath) {
+    const pluginId = path.basename(filePath, path.extname(filePath));
+    
+    // 注入插件实例的运行时，供 setContext 等方法使用
+    const runtimeId = this.pluginManager.getPluginId(filePath);
+    const runtime = {
+      pluginId: runtimeId,
+      storage: this.pluginManager.storage.forPlugin(runtimeId),
+      conversation: this.pluginManager.conversation,
+      createEvent: (context) => this.createYunzaiEvent(context)
+    };
+    
+    // 受限运行的插件只能管理自己的会话和读写自己的数据，事件对象中的账号为受限视图
+    const { isolation } = this.pluginManager;
+    const env = isolation.getEnvironment(filePath);
+    if (env) {
+      runtime.storage = runtime.storage.restricted();
+      runtime.conversation = isolation.viewConversation(env, this.pluginManager.conversation);
+      runtime.createEvent = (context) => this.createYunzaiEvent(isolation.restrictContext(env, context));
+    }
+    
+    // 先实例化一次读取元数据，按优先级排序
+    const apps = pluginClasses
+      .map(PluginClass => ({ PluginClass, meta: new PluginClass() }))
+      .sort((a, b) => a.meta.priority - b.meta.priority);
+    const first = apps[0].meta;
+    
+    // 收集 this.task 声明的定时任务，fnc 为方法名，执行时创建新实例
+    const tasks = apps.flatMap(({ PluginClass, meta }) => {
+      return [].concat(meta.task || []).filter(task => task && task.cron && task.fnc).map(task => ({
+        name: task.name || `${meta.name}.${typeof task.fnc === 'string' ? task.fnc : 'task'}`,
+        cron: task.cron,
+        timezone: task.timezone,
+        log: task.log !== false,
+        fnc: () => {
+          const app = new PluginClass();
+          app.runtime = runtime;
+          return typeof task.fnc === 'function' ? task.fnc.call(app) : app[task.fnc]();
+        }
+      }));
+    });
+    
+    return {
+      id: pluginId,
+      name: first.name || pluginId,
+      description: first.dsc || '',
+      version: '1.0.0',
+      priority: first.priority,
+      tasks,
+      
+      onMessage: async (context) => {
+        const e = this.createYunzaiEvent(context);
+        
+        for (const { PluginClass, meta } of apps) {
+          if (!matchEvent(meta.event, e.eventName)) {
+            continue;
+          }
+          
+          // 云崽每次处理消息都会创建新的插件实例
+          const app = new PluginClass();
+          app.runtime = runtime;
+          app.e = e;
+          
+          if (await this.runRules(app, e)) {
+            return true;
+          }
+        }
+        
+        return false;
+      },
+      
+      onCommand: () => false,
+      
+      // 通知/请求事件交给声明了对应 event 的插件，如 notice.group.increase
+      events: {
+        '*': (e) => this.dispatchRuleEvent(apps, runtime, e)
+      },
+      
+      onUnload: () => {}
+    };
+  }
+
+  /**
+   * 将通知/请求事件交给声明了对应 event 的规则插件，已处理时返回true
+   */
+  async dispatchRuleEvent(apps, runtime, e) {
+    for (const { PluginClass, meta } of apps) {
+      if (!meta.event || meta.event.startsWith('message') || !matchEvent(meta.event, e.eventName)) {
+        continue;
+      }
+      
+      const app = new PluginClass();
+      app.runtime = runtime;
+      app.e = e;
+      
+      // 与云崽一致：优先调用 accept，返回真值（或 'return'）时终止后续处理
+      if (typeof app.accept === 'function' && await app.accept(e)) {
+        return true;
+      }
+      
+      if (await this.runRules(app, e)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 依次匹配插件实例的规则，命中并处理后返回true
+   */
+  async runRules(app, e) {
+    for (const rule of app.rule || []) {
+      if (rule.event && !matchEvent(rule.event, e.eventName)) {
+        continue;
+      }
+      
+      // 未设置reg的规则匹配所有消息
+      const reg = rule.reg instanceof RegExp ? rule.reg : new RegExp(rule.reg || '');
+      if (!reg.test(e.msg || '')) {
+        continue;
+      }
+      
+      if (typeof app[rule.fnc] !== 'function') {
+        logger.warn(`插件 ${app.name} 的规则方法不存在: ${rule.fnc}`);
+        continue;
+      }
+      
+      if (!this.bot.permission.check(e, rule.permission)) {
+        await this.bot.permission.deny(e, rule.permission);
+        return true;
+      }
+      
+      // 规则可声明 cooldown（秒），按用户冷却
+      const cooldownKey = `${app.name}:${rule.fnc}`;
+      if (rule.cooldown && !(await this.bot.rateLimiter.checkCooldown(e, cooldownKey, rule.cooldown))) {
+        return true;
+      }
+      
+      try {
+        const result = await app[rule.fnc](e);
+        // 与云崽一致：方法返回false表示未处理，继续匹配后续规则
+        if (result !== false) {
+          if (rule.log !== false) {
+            logger.info(`[${app.name}] ${(e.msg || e.eventName).slice(0, 50)} -> ${rule.fnc}`);
+          }
+          return true;
+        }
+      } catch (error) {
+        logger.error(`插件 ${app.name} 执行 ${rule.fnc} 出错:`, error);
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
   /**
    * 从函数创建插件
    */
@@ -59,6 +255,11 @@ class PluginSandbox {
       name: plugin.name || pluginId,
       description: plugin.description || '',
       version: plugin.version || '1.0.0',
+      priority: plugin.priority,
+      permission: plugin.permission,
+      
+      // 声明的命令，由命令框架注册
+      commands: plugin.commands || [],
       
       // 消息处理方法
       onMessage: async (context) => {
@@ -78,9 +279,15 @@ class PluginSandbox {
       // 命令处理方法
       onCommand: plugin.onCommand || (() => false),
       
-      // 事件处理方法
+      // 事件处理方法，接收所有通知/请求事件的 OneBot 原始上报
       onEvent: plugin.onEvent || (() => {}),
       
+      // 按事件名订阅，如 { 'notice.group.*': (e) => {} }，返回true时不再分发给后续插件
+      events: plugin.events || {},
+      
+      // 定时任务 [{ name, cron, fnc }]，兼容单个 task 对象
+      tasks: [].concat(plugin.tasks || plugin.task || []),
+      
       // 插件卸载方法
       onUnload: plugin.onUnload || (() => {})
     };
@@ -91,6 +298,8 @@ class PluginSandbox {
    */
   createSandbox(filePath) {
     const pluginDir = path.dirname(filePath);
+    // 插件专属的存储，按插件ID隔离
+    const storage = this.pluginManager.storage.forPlugin(this.pluginManager.getPluginId(filePath));
     
     // 模拟云崽的机器人对象
     const yunzaiBot = {
@@ -109,6 +318,15 @@ class PluginSandbox {
         return context.reply(message);
       },
       
+      // 构建合并转发消息，可直接作为回复内容发送
+      makeForwardMsg: (msgs, options) => this.bot.makeForwardMsg(msgs, options),
+      
+      // 多账号：按QQ号选择主动发送使用的账号，如 Bot.pickAccount(10001).sendGroupMsg(...)
+      pickAccount: (selfId) => this.bot.getAccount(selfId),
+      
+      // 当前在线的账号列表
+      getOnlineAccounts: () => this.bot.getOnlineAccounts(),
+      
       // 日志系统
       logger: {
         info: (msg) => logger.info(`[插件] ${msg}`),
@@ -133,6 +351,32 @@ class PluginSandbox {
       config: this.bot.config
     };
     
+    // 受限运行的插件只能拿到脱敏配置、按命名空间限制的Redis、受限的账号和存储视图
+    const env = this.pluginManager.isolation.getEnvironment(filePath);
+    if (env) {
+      Object.assign(yunzaiBot, {
+        pickAccount: env.bot.pickAccount,
+        getOnlineAccounts: env.bot.getOnlineAccounts,
+        db: null,
+        redis: env.redis,
+        config: env.config
+      });
+      return {
+        bot: yunzaiBot,
+        logger: yunzaiBot.logger,
+        db: null,
+        redis: env.redis,
+        config: env.config,
+        storage: storage.restricted(),
+        pluginDir,
+        require: this.pluginManager.isolation.createRequire(env, pluginDir),
+        segment,
+        plugin: Plugin,
+        dayjs,
+        lodash: require('lodash')
+      };
+    }
+    
     // 沙箱环境
     return {
       bot: yunzaiBot,
@@ -141,32 +385,41 @@ class PluginSandbox {
       db: this.bot.db,
       redis: this.bot.redis,
       config: this.bot.config,
+      storage,
       // 路径相关
       pluginDir,
+      // 从插件所在目录解析模块，插件包优先使用自己的 node_modules
+      require: createRequire(path.resolve(filePath)),
+      // 消息段构造与插件基类
+      segment,
+      plugin: Plugin,
       // 工具函数
       dayjs,
       lodash: require('lodash')
     };
   }
 
+  /**
+   * 将消息上下文转换为云崽插件期望的事件对象
+   */
+  createYunzaiEvent(context) {
+    return this.eventBuilder.fromMessage(context);
+  }
+
+  /**
+   * 将通知/请求上报转换为云崽插件期望的事件对象
+   */
+  createYunzaiNoticeEvent(payload, account) {
+    return this.eventBuilder.fromNotice(payload, account);
+  }
+
   /**
    * 适配云崽风格的main函数
    */
   async adaptYunzaiMain(mainFunc, context) {
     try {
       // 转换上下文为云崽插件期望的格式
-      const yunzaiContext = {
-        user_id: context.userId,
-        group_id: context.groupId,
-        message: context.message,
-        raw_message: context.rawMessage,
-        message_type: context.messageType,
-        sender: context.sender,
-        // 回复方法
-        reply: async (msg) => context.reply(msg),
-        // 机器人实例
-        bot: this.bot
-      };
+      const yunzaiContext = this.createYunzaiEvent(context);
       
       // 调用云崽风格的main函数
       const result = await mainFunc(yunzaiContext);
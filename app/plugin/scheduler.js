@@ -0,0 +1,163 @@
+const schedule = require('node-schedule');
+const { logger } = require('../utils/logger');
+
+/**
+ * 插件定时任务调度
+ * 任务格式与云崽一致：{ name, cron: '0 0 8 * * *', fnc, log }，cron 支持秒级（6段）
+ */
+class Scheduler {
+  constructor(pluginManager) {
+    this.pluginManager = pluginManager;
+    this.bot = pluginManager.bot;
+    this.config = pluginManager.bot.config.scheduler || {};
+    this.tasks = new Map(); // 插件ID:任务名 -> 任务
+  }
+
+  /**
+   * 注册插件的定时任务
+   */
+  registerPlugin(pluginId, tasks = []) {
+    for (const task of tasks) {
+      if (!task || !task.cron || typeof task.fnc !== 'function') {
+        continue;
+      }
+      
+      try {
+        this.register(pluginId, task);
+      } catch (error) {
+        logger.error(`插件 ${pluginId} 注册定时任务失败: ${task.name || task.cron}`, error);
+      }
+    }
+  }
+
+  /**
+   * 注册单个定时任务
+   */
+  register(pluginId, { name, cron, fnc, timezone, log = true }) {
+    const taskName = name || cron;
+    const key = `${pluginId}:${taskName}`;
+    
+    if (this.tasks.has(key)) {
+      this.cancel(key);
+    }
+    
+    const tz = timezone || this.config.timezone;
+    const rule = tz ? { rule: cron, tz } : cron;
+    const task = { key, pluginId, name: taskName, cron, tz, fnc, log, job: null, lastRun: null, lastResult: null };
+    
+    task.job = schedule.scheduleJob(key, rule, () => this.run(task, 'cron'));
+    if (!task.job) {
+      throw new Error(`无效的cron表达式: ${cron}`);
+    }
+    
+    this.tasks.set(key, task);
+    logger.debug(`定时任务已注册: ${key} (${cron}${tz ? `, ${tz}` : ''})`);
+    return task;
+  }
+
+  /**
+   * 执行任务并记录结果，插件被全局禁用时跳过定时触发，手动触发不受影响
+   */
+  async run(task, trigger = 'manual') {
+    if (trigger === 'cron' && !this.pluginManager.isPluginEnabled(task.pluginId)) {
+      if (task.log) {
+        logger.info(`插件 ${task.pluginId} 已禁用，跳过定时任务: ${task.key}`);
+      }
+      return null;
+    }
+    
+    const startedAt = Date.now();
+    task.lastRun = new Date(startedAt);
+    
+    try {
+      await task.fnc();
+      task.lastResult = { ok: true, duration: Date.now() - startedAt, trigger };
+      if (task.log) {
+        logger.info(`定时任务完成: ${task.key}，耗时 ${task.lastResult.duration}ms`);
+      }
+    } catch (error) {
+      task.lastResult = { ok: false, duration: Date.now() - startedAt, trigger, error: error.message };
+      logger.error(`定时任务出错: ${task.key}`, error);
+    }
+    
+    return task.lastResult;
+  }
+
+  /**
+   * 手动触发任务，name 可以是任务名或 插件ID:任务名
+   */
+  async trigger(name) {
+    const task = this.find(name);
+    if (!task) {
+      throw new Error(`定时任务不存在: ${name}`);
+    }
+    return this.run(task, 'manual');
+  }
+
+  /**
+   * 查找任务
+   */
+  find(name) {
+    if (this.tasks.has(name)) {
+      return this.tasks.get(name);
+    }
+    return [...this.tasks.values()].find(task => task.name === name) || null;
+  }
+
+  /**
+   * 取消任务
+   */
+  cancel(key) {
+    const task = this.tasks.get(key);
+    if (!task) return false;
+    
+    if (task.job) {
+      task.job.cancel();
+    }
+    this.tasks.delete(key);
+    return true;
+  }
+
+  /**
+   * 取消插件的全部任务，插件卸载或热重载时调用
+   */
+  cancelPlugin(pluginId) {
+    for (const [key, task] of this.tasks) {
+      if (task.pluginId === pluginId) {
+        this.cancel(key);
+      }
+    }
+  }
+
+  /**
+   * 获取任务列表，按下次执行时间排序
+   */
+  list() {
+    return [...this.tasks.values()]
+      .map(task => {
+        const next = task.job.nextInvocation();
+        return {
+          key: task.key,
+          pluginId: task.pluginId,
+          name: task.name,
+          cron: task.cron,
+          timezone: task.tz || null,
+          nextRun: next ? new Date(next.getTime()) : null,
+          lastRun: task.lastRun,
+          lastResult: task.lastResult
+        };
+      })
+      .sort((a, b) => (a.nextRun ? a.nextRun.getTime() : Infinity) - (b.nextRun ? b.nextRun.getTime() : Infinity));
+  }
+
+  /**
+   * 取消全部任务
+   */
+  shutdown() {
+    for (const key of [...this.tasks.keys()]) {
+      this.cancel(key);
+    }
+  }
+}
+
+module.exports = { Scheduler };
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+/**
+ * 插件启用状态，持久化到JSON文件
+ * 结构: { [插件ID]: { enabled: boolean, groups: { [群号]: boolean } } }
+ */
+class PluginState {
+  constructor(filePath, defaultDisabled = []) {
+    this.filePath = filePath;
+    this.defaultDisabled = new Set(defaultDisabled);
+    this.state = {};
+  }
+
+  /**
+   * 从文件读取状态
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.state = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+      }
+    } catch (error) {
+      logger.error(`读取插件状态失败: ${this.filePath}`, error);
+      this.state = {};
+    }
+  }
+
+  /**
+   * 写入状态文件
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.state, null, 2));
+    } catch (error) {
+      logger.error(`保存插件状态失败: ${this.filePath}`, error);
+    }
+  }
+
+  /**
+   * 判断插件是否启用，全局禁用时所有群都不可用
+   */
+  isEnabled(pluginId, groupId = null) {
+    const entry = this.state[pluginId] || {};
+    const enabled = entry.enabled !== undefined ? entry.enabled : !this.defaultDisabled.has(pluginId);
+    
+    if (!enabled || !groupId || !entry.groups) {
+      return enabled;
+    }
+    return entry.groups[groupId] !== false;
+  }
+
+  /**
+   * 设置插件启用状态，传入群号时只影响该群
+   */
+  setEnabled(pluginId, enabled, groupId = null) {
+    const entry = this.state[pluginId] || (this.state[pluginId] = {});
+    
+    if (groupId) {
+      entry.groups = entry.groups || {};
+      entry.groups[groupId] = enabled;
+    } else {
+      entry.enabled = enabled;
+    }
+    
+    this.save();
+  }
+}
+
+module.exports = { PluginState };
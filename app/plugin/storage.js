@@ -0,0 +1,536 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Sequelize = require('sequelize');
+const { isMatch, escapeRegExp } = require('lodash');
+const { logger } = require('../utils/logger');
+
+const { DataTypes, Op } = Sequelize;
+
+// 键值对所在的集合名，文档集合使用自己的名字
+const KV_COLLECTION = '';
+// 记录插件通过 define 创建的数据表，清除插件数据时一并删除
+const TABLES_COLLECTION = '$tables';
+
+// MySQL 表名最长64个字符
+const MAX_TABLE_NAME = 64;
+
+// 受限插件可以使用的存储方法，不包括 define、migrate 和指向数据库的属性
+const KV_METHODS = ['get', 'set', 'has', 'delete', 'keys', 'clear'];
+const COLLECTION_METHODS = ['insert', 'get', 'find', 'findOne', 'update', 'remove', 'count', 'clear'];
+
+/**
+ * 插件存储管理：所有插件的数据保存在同一张表中，按插件ID和作用域隔离
+ * 依赖 bot.db.sequelize，首次使用时创建数据表
+ */
+class StorageManager {
+  constructor(pluginManager) {
+    this.pluginManager = pluginManager;
+    this.bot = pluginManager.bot;
+    this.models = null;          // 初始化完成的 { PluginData, PluginMigration }
+    this.initializing = null;
+    this.stores = new Map();     // 插件ID -> PluginStorage
+    this.cleanupTimer = null;
+    
+    const storageConfig = (this.bot.config.plugins || {}).storage || {};
+    this.cleanupInterval = storageConfig.cleanupInterval !== undefined ? storageConfig.cleanupInterval : 3600000; // 过期数据清理间隔(ms)
+    this.exportDir = storageConfig.exportDir || path.join(process.cwd(), 'data', 'plugin-export'); // 导出文件目录
+  }
+
+  /**
+   * 数据库的 Sequelize 实例，数据库不可用时为null
+   */
+  get sequelize() {
+    return (this.bot.db && this.bot.db.sequelize) || null;
+  }
+
+  /**
+   * 初始化存储表，多次调用只执行一次，失败后下次调用会重试
+   */
+  async init() {
+    if (this.models) {
+      return this.models;
+    }
+    if (!this.initializing) {
+      this.initializing = this.defineModels().finally(() => {
+        this.initializing = null;
+      });
+    }
+    return this.initializing;
+  }
+
+  /**
+   * 定义并同步存储使用的数据表
+   */
+  async defineModels() {
+    const sequelize = this.sequelize;
+    if (!sequelize) {
+      throw new Error('数据库不可用，无法使用插件存储');
+    }
+    
+    const PluginData = sequelize.define('PluginData', {
+      plugin: { type: DataTypes.STRING(128), allowNull: false },
+      scope: { type: DataTypes.STRING(64), allowNull: false, defaultValue: '' },
+      collection: { type: DataTypes.STRING(64), allowNull: false, defaultValue: KV_COLLECTION },
+      key: { type: DataTypes.STRING(191), allowNull: false },
+      value: { type: DataTypes.TEXT('long'), allowNull: true },
+      expiresAt: { type: DataTypes.DATE, allowNull: true }
+    }, {
+      tableName: 'plugin_data',
+      indexes: [
+        { unique: true, fields: ['plugin', 'scope', 'collection', 'key'] },
+        { fields: ['expiresAt'] }
+      ]
+    });
+    
+    const PluginMigration = sequelize.define('PluginMigration', {
+      plugin: { type: DataTypes.STRING(128), allowNull: false },
+      version: { type: DataTypes.INTEGER, allowNull: false },
+      name: { type: DataTypes.STRING(128), allowNull: false, defaultValue: '' }
+    }, {
+      tableName: 'plugin_migrations',
+      indexes: [{ unique: true, fields: ['plugin', 'version'] }]
+    });
+    
+    await PluginData.sync();
+    await PluginMigration.sync();
+    
+    if (this.cleanupInterval > 0) {
+      this.cleanupTimer = setInterval(() => {
+        this.cleanupExpired().catch(error => logger.warn('清理过期插件数据失败:', error));
+      }, this.cleanupInterval);
+      this.cleanupTimer.unref();
+    }
+    
+    this.models = { PluginData, PluginMigration };
+    return this.models;
+  }
+
+  /**
+   * 获取插件的存储
+   */
+  forPlugin(pluginId) {
+    if (!this.stores.has(pluginId)) {
+      this.stores.set(pluginId, new PluginStorage(this, pluginId));
+    }
+    return this.stores.get(pluginId);
+  }
+
+  /**
+   * 插件数据表的表名：plugin_<插件ID>_<名称>，超长时截断并附加哈希
+   */
+  tableName(pluginId, name) {
+    const safe = (str) => String(str).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    const tableName = `plugin_${safe(pluginId)}_${safe(name)}`;
+    if (tableName.length <= MAX_TABLE_NAME) {
+      return tableName;
+    }
+    const hash = crypto.createHash('sha1').update(`${pluginId}/${name}`).digest('hex').slice(0, 8);
+    return `${tableName.slice(0, MAX_TABLE_NAME - hash.length - 1)}_${hash}`;
+  }
+
+  /**
+   * 导出插件的全部数据，包括键值对、文档、迁移记录和插件定义的数据表
+   */
+  async export(pluginId) {
+    const { PluginData, PluginMigration } = await this.init();
+    const rows = await PluginData.findAll({ where: { plugin: pluginId }, order: [['id', 'ASC']] });
+    const migrations = await PluginMigration.findAll({ where: { plugin: pluginId }, order: [['version', 'ASC']] });
+    
+    const now = Date.now();
+    const data = rows
+      .filter(row => row.collection !== TABLES_COLLECTION && !isExpired(row, now))
+      .map(row => ({
+        scope: row.scope,
+        collection: row.collection,
+        key: row.key,
+        value: parseValue(row.value),
+        expiresAt: row.expiresAt
+      }));
+    
+    const tables = {};
+    for (const row of rows.filter(item => item.collection === TABLES_COLLECTION)) {
+      try {
+        const [records] = await this.sequelize.query(`SELECT * FROM ${this.sequelize.getQueryInterface().quoteIdentifier(row.key)}`);
+        tables[row.key] = records;
+      } catch (error) {
+        logger.warn(`导出插件数据表失败: ${row.key}`, error);
+      }
+    }
+    
+    return {
+      plugin: pluginId,
+      exportedAt: new Date().toISOString(),
+      data,
+      tables,
+      migrations: migrations.map(row => ({ version: row.version, name: row.name, appliedAt: row.createdAt }))
+    };
+  }
+
+  /**
+   * 导出插件数据到JSON文件，返回文件路径
+   */
+  async exportToFile(pluginId) {
+    const data = await this.export(pluginId);
+    const fileName = `${pluginId.replace(/[\\/:*?"<>|]+/g, '_')}-${Date.now()}.json`;
+    const filePath = path.join(this.exportDir, fileName);
+    
+    await fs.promises.mkdir(this.exportDir, { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2));
+    return filePath;
+  }
+
+  /**
+   * 清除插件的全部数据，删除插件定义的数据表，返回删除的记录数和表数
+   */
+  async purge(pluginId) {
+    const { PluginData, PluginMigration } = await this.init();
+    const tables = await PluginData.findAll({ where: { plugin: pluginId, collection: TABLES_COLLECTION } });
+    
+    const queryInterface = this.sequelize.getQueryInterface();
+    for (const table of tables) {
+      await queryInterface.dropTable(table.key);
+      if (this.sequelize.isDefined(table.key)) {
+        this.sequelize.modelManager.removeModel(this.sequelize.model(table.key));
+      }
+    }
+    
+    const rows = await PluginData.destroy({ where: { plugin: pluginId } });
+    await PluginMigration.destroy({ where: { plugin: pluginId } });
+    logger.info(`已清除插件 ${pluginId} 的数据：${rows - tables.length} 条记录，${tables.length} 张数据表`);
+    return { rows: rows - tables.length, tables: tables.length };
+  }
+
+  /**
+   * 删除所有已过期的数据
+   */
+  async cleanupExpired() {
+    const { PluginData } = await this.init();
+    const count = await PluginData.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } });
+    if (count > 0) {
+      logger.debug(`已清理 ${count} 条过期插件数据`);
+    }
+    return count;
+  }
+
+  /**
+   * 停止定时清理
+   */
+  shutdown() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+}
+
+/**
+ * 单个插件的存储，可按群或用户划分作用域
+ *
+ * await storage.set('count', 1, { ttl: 60 })    // 键值对，ttl 单位为秒
+ * await storage.group(e.group_id).get('config')  // 本群的数据
+ * await storage.collection('notes').insert({ text: '...' })
+ * const Note = await storage.define('note', { text: DataTypes.TEXT })
+ */
+class PluginStorage {
+  constructor(manager, pluginId, scope = {}) {
+    this.manager = manager;
+    this.pluginId = pluginId;
+    this.scopeInfo = scope;
+    this.scope = formatScope(scope);
+  }
+
+  /**
+   * 按群划分的存储
+   */
+  group(groupId) {
+    return new PluginStorage(this.manager, this.pluginId, { ...this.scopeInfo, groupId });
+  }
+
+  /**
+   * 按用户划分的存储，在群存储上调用时为群内某个用户的存储
+   */
+  user(userId) {
+    return new PluginStorage(this.manager, this.pluginId, { ...this.scopeInfo, userId });
+  }
+
+  /**
+   * 受限插件使用的存储视图，只能读写键值对和文档集合
+   * define 返回的模型和 migrate 的参数都能访问整个数据库，因此不提供；视图上也没有 manager 等属性
+   */
+  restricted() {
+    const view = {
+      group: (groupId) => this.group(groupId).restricted(),
+      user: (userId) => this.user(userId).restricted(),
+      collection: (name) => {
+        const collection = this.collection(name);
+        return Object.freeze(Object.fromEntries(COLLECTION_METHODS.map(method => [method, (...args) => collection[method](...args)])));
+      }
+    };
+    for (const method of KV_METHODS) {
+      view[method] = (...args) => this[method](...args);
+    }
+    return Object.freeze(view);
+  }
+
+  /**
+   * 当前作用域下的查询条件
+   */
+  where(collection, extra = {}) {
+    return { plugin: this.pluginId, scope: this.scope, collection, ...extra };
+  }
+
+  /**
+   * 读取未过期的记录，已过期的顺便删除
+   */
+  async findRow(collection, key) {
+    const { PluginData } = await this.manager.init();
+    const row = await PluginData.findOne({ where: this.where(collection, { key: String(key) }) });
+    if (row && isExpired(row)) {
+      await row.destroy();
+      return null;
+    }
+    return row;
+  }
+
+  /**
+   * 写入记录，已存在时覆盖
+   */
+  async writeRow(collection, key, value, expiresAt = null) {
+    const { PluginData } = await this.manager.init();
+    await PluginData.upsert({
+      ...this.where(collection, { key: String(key) }),
+      value: JSON.stringify(value === undefined ? null : value),
+      expiresAt
+    });
+  }
+
+  /**
+   * 读取键值，不存在或已过期时返回默认值
+   */
+  async get(key, defaultValue = null) {
+    const row = await this.findRow(KV_COLLECTION, key);
+    return row ? parseValue(row.value) : defaultValue;
+  }
+
+  /**
+   * 写入键值，值需要能序列化为JSON；ttl 为过期时间（秒），不设置则永不过期
+   */
+  async set(key, value, { ttl } = {}) {
+    const expiresAt = ttl > 0 ? new Date(Date.now() + ttl * 1000) : null;
+    await this.writeRow(KV_COLLECTION, key, value, expiresAt);
+    return true;
+  }
+
+  /**
+   * 判断键是否存在
+   */
+  async has(key) {
+    return Boolean(await this.findRow(KV_COLLECTION, key));
+  }
+
+  /**
+   * 删除键
+   */
+  async delete(key) {
+    const { PluginData } = await this.manager.init();
+    return (await PluginData.destroy({ where: this.where(KV_COLLECTION, { key: String(key) }) })) > 0;
+  }
+
+  /**
+   * 列出当前作用域下未过期的键，pattern 支持 * 通配符
+   */
+  async keys(pattern = '*') {
+    const { PluginData } = await this.manager.init();
+    const rows = await PluginData.findAll({
+      attributes: ['key', 'expiresAt'],
+      where: this.where(KV_COLLECTION),
+      order: [['key', 'ASC']]
+    });
+    const regex = new RegExp(`^${String(pattern).split('*').map(escapeRegExp).join('.*')}$`);
+    const now = Date.now();
+    return rows.filter(row => !isExpired(row, now) && regex.test(row.key)).map(row => row.key);
+  }
+
+  /**
+   * 清空当前作用域下的键值对（不含文档集合）
+   */
+  async clear() {
+    const { PluginData } = await this.manager.init();
+    return PluginData.destroy({ where: this.where(KV_COLLECTION) });
+  }
+
+  /**
+   * 获取JSON文档集合
+   */
+  collection(name) {
+    if (!name || String(name).startsWith('$')) {
+      throw new Error(`无效的集合名: ${name}`);
+    }
+    return new DocumentCollection(this, String(name));
+  }
+
+  /**
+   * 定义插件自己的 Sequelize 模型，表名带有插件ID前缀，数据表属于插件而不区分作用域
+   * 表不存在时自动创建，表结构变更请使用 migrate
+   */
+  async define(name, attributes, options = {}) {
+    await this.manager.init();
+    const sequelize = this.manager.sequelize;
+    const tableName = this.manager.tableName(this.pluginId, name);
+    
+    const model = sequelize.define(tableName, attributes, { ...options, tableName, freezeTableName: true });
+    await model.sync();
+    
+    const root = this.manager.forPlugin(this.pluginId);
+    await root.writeRow(TABLES_COLLECTION, tableName, { name });
+    return model;
+  }
+
+  /**
+   * 按版本号依次执行未执行过的迁移，每个迁移在单独的事务中执行
+   * migrations: [{ version: 1, name: '创建索引', up: async ({ queryInterface, Sequelize, transaction, tableName }) => {} }]
+   * 返回当前的版本号
+   */
+  async migrate(migrations) {
+    const { PluginMigration } = await this.manager.init();
+    const sequelize = this.manager.sequelize;
+    const applied = new Set((await PluginMigration.findAll({ where: { plugin: this.pluginId } })).map(row => row.version));
+    
+    const pending = [...migrations]
+      .filter(migration => !applied.has(migration.version))
+      .sort((a, b) => a.version - b.version);
+    
+    for (const migration of pending) {
+      await sequelize.transaction(async (transaction) => {
+        await migration.up({
+          queryInterface: sequelize.getQueryInterface(),
+          Sequelize,
+          sequelize,
+          transaction,
+          storage: this,
+          tableName: (name) => this.manager.tableName(this.pluginId, name)
+        });
+        await PluginMigration.create({
+          plugin: this.pluginId,
+          version: migration.version,
+          name: migration.name || ''
+        }, { transaction });
+      });
+      logger.info(`插件 ${this.pluginId} 已执行数据迁移 v${migration.version}${migration.name ? ` ${migration.name}` : ''}`);
+    }
+    
+    return Math.max(0, ...applied, ...pending.map(migration => migration.version));
+  }
+}
+
+/**
+ * JSON文档集合，每个文档有唯一的 _id
+ */
+class DocumentCollection {
+  constructor(storage, name) {
+    this.storage = storage;
+    this.name = name;
+  }
+
+  /**
+   * 插入文档，未指定 _id 时自动生成，返回插入的文档
+   */
+  async insert(doc) {
+    const saved = { ...doc, _id: doc._id ? String(doc._id) : crypto.randomUUID() };
+    await this.storage.writeRow(this.name, saved._id, saved);
+    return saved;
+  }
+
+  /**
+   * 按 _id 获取文档
+   */
+  async get(id) {
+    const row = await this.storage.findRow(this.name, id);
+    return row ? parseValue(row.value) : null;
+  }
+
+  /**
+   * 查询文档，query 为部分匹配的对象或过滤函数
+   */
+  async find(query = {}) {
+    const { PluginData } = await this.storage.manager.init();
+    const rows = await PluginData.findAll({ where: this.storage.where(this.name), order: [['id', 'ASC']] });
+    const docs = rows.map(row => parseValue(row.value));
+    return docs.filter(doc => (typeof query === 'function' ? query(doc) : isMatch(doc, query)));
+  }
+
+  /**
+   * 查询第一个匹配的文档
+   */
+  async findOne(query = {}) {
+    return (await this.find(query))[0] || null;
+  }
+
+  /**
+   * 合并更新文档，文档不存在时返回null
+   */
+  async update(id, patch) {
+    const doc = await this.get(id);
+    if (!doc) {
+      return null;
+    }
+    const updated = { ...doc, ...patch, _id: doc._id };
+    await this.storage.writeRow(this.name, doc._id, updated);
+    return updated;
+  }
+
+  /**
+   * 删除文档
+   */
+  async remove(id) {
+    const { PluginData } = await this.storage.manager.init();
+    return (await PluginData.destroy({ where: this.storage.where(this.name, { key: String(id) }) })) > 0;
+  }
+
+  /**
+   * 统计匹配的文档数
+   */
+  async count(query = {}) {
+    return (await this.find(query)).length;
+  }
+
+  /**
+   * 删除集合中的所有文档
+   */
+  async clear() {
+    const { PluginData } = await this.storage.manager.init();
+    return PluginData.destroy({ where: this.storage.where(this.name) });
+  }
+}
+
+/**
+ * 作用域字符串，如 group:123、user:456、group:123|user:456，全局为空字符串
+ */
+function formatScope({ groupId, userId } = {}) {
+  const parts = [];
+  if (groupId !== undefined && groupId !== null) parts.push(`group:${groupId}`);
+  if (userId !== undefined && userId !== null) parts.push(`user:${userId}`);
+  return parts.join('|');
+}
+
+/**
+ * 判断记录是否已过期
+ */
+function isExpired(row, now = Date.now()) {
+  return Boolean(row.expiresAt) && new Date(row.expiresAt).getTime() <= now;
+}
+
+/**
+ * 解析保存的JSON值
+ */
+function parseValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+module.exports = { StorageManager, PluginStorage, DocumentCollection };
@@ -5,7 +5,15 @@ module.exports = {
   name: '天心Bot',
   
   // 命令前缀
-  commandPrefix: ['#', ''],
+  commandPrefix: ['#', ''], // 空前缀 '' 表示已注册的命令也可以不带前缀使用
+  
+  // 主人QQ号，拥有全部权限
+  masterQQ: [],
+  
+  // 权限配置
+  permission: {
+    deniedReply: '暂无权限，只有{level}才能操作' // 权限不足时的回复，{level}替换为所需权限，留空则不回复
+  },
   
   // 插件目录
   pluginDir: path.join(process.cwd(), 'plugins'),
@@ -13,18 +21,102 @@ module.exports = {
   // 启用插件热重载
   pluginHotReload: true,
   
+  // 限流配置，计数保存在Redis中，Redis不可用时使用内存
+  rateLimit: {
+    enabled: true,
+    user: { limit: 10, window: 60 }, // 每个用户每60秒最多10条命令
+    group: { limit: 30, window: 60 }, // 每个群每60秒最多30条命令
+    command: { limit: 0, window: 60 }, // 同一聊天中每个命令的次数限制，0为不限制
+    commands: {}, // 按命令覆盖，如 { '签到': { limit: 1, window: 10, cooldown: 30 } }
+    notice: '操作太频繁，请稍后再试', // 被限流时的提示，留空则不提示
+    quiet: false // 静默模式：被限流或未知命令时不回复
+  },
+  
+  // 插件调度配置
+  plugins: {
+    priority: {}, // 覆盖插件优先级，如 { 'example/hello': 100 }，数值越小越先执行
+    disabled: [], // 默认禁用的插件ID
+    reloadDelay: 500, // 热重载防抖时间(ms)，期间的多次文件变化合并为一次重载
+    handlerTimeout: 30000, // 插件单次处理消息/事件的最长时间(ms)，超时后放弃等待继续分发，0为不限制
+    isolation: {
+      enabled: false, // 启用受限模式，受限的插件运行在独立的vm上下文中（仅支持CommonJS插件）。这不是安全隔离，不能用于运行不可信的代码
+      all: false, // 限制全部第三方插件，为false时只限制 plugins 中列出的插件
+      defaults: { network: false, fs: [], db: [], modules: [] }, // 受限插件的默认权限
+      plugins: {} // 按插件ID或插件包名配置权限，如 { 'some-plugin': { network: true, fs: ['data/some-plugin'], db: ['some-plugin'], modules: ['axios'] } }
+    },
+    storage: {
+      cleanupInterval: 3600000, // 插件存储过期数据的清理间隔(ms)，0为只在读取时清理
+      exportDir: path.join(process.cwd(), 'data', 'plugin-export') // #导出插件数据 的输出目录
+    },
+    stateFile: path.join(process.cwd(), 'data', 'plugin-state.json') // 启用/禁用状态持久化文件
+  },
+  
   // 协议适配器配置
   adapter: {
-    type: 'ws', // 支持 'ws' 或 'http'
+    protocol: 'onebot11', // 协议端使用的协议：'onebot11'、'onebot12' 或 'satori'
+    type: 'ws-reverse', // OneBot连接方式，支持 'ws'、'ws-reverse' 或 'http'；Satori 不使用此项
     ws: {
-      url: 'ws://127.0.0.1:3000/ws' // go-cqhttp的WebSocket地址
+      url: 'ws://127.0.0.1:3000/ws', // go-cqhttp的WebSocket地址
+      accessToken: '' // 正向WebSocket的access-token，留空则不鉴权
+    },
+    wsReverse: {
+      port: 3000, // 反向WebSocket监听端口，对应go-cqhttp的ws-reverse配置
+      path: '/ws', // Universal连接路径
+      apiPath: '/api', // 单独的API连接路径
+      eventPath: '/event', // 单独的Event连接路径
+      accessToken: '', // 与go-cqhttp的access-token保持一致
+      selfId: null // 限定允许连接的QQ号，为空时不限制
     },
     http: {
-      port: 3000, // HTTP服务器端口
-      callbackPath: '/api/callback' // 回调路径
+      port: 3000, // HTTP服务器端口，接收go-cqhttp的HTTP上报
+      callbackPath: '/api/callback', // 回调路径
+      apiUrl: 'http://127.0.0.1:5700', // go-cqhttp的HTTP API地址
+      accessToken: '', // 与go-cqhttp的access-token保持一致
+      secret: '', // 与go-cqhttp的secret保持一致，用于校验上报的X-Signature，留空则不校验
+      quickTimeout: 0 // 等待插件给出快速操作的时间(ms)，0为不使用快速操作
+    },
+    satori: {
+      endpoint: 'http://127.0.0.1:5500', // Satori协议端地址，事件通过 /v1/events 接收
+      token: '', // Satori鉴权token
+      platform: '', // 协议端有多个登录账号时，限定使用的平台
+      selfId: '', // 协议端有多个登录账号时，限定使用的账号，为空时使用第一个
+      heartbeat: 10000 // 心跳间隔(ms)
     },
     timeout: 30000, // API调用超时时间(ms)
-    reconnectDelay: 5000 // 重连延迟(ms)
+    reconnectDelay: 5000, // 首次重连延迟(ms)，之后指数增长并加入随机抖动
+    reconnectMaxDelay: 60000, // 最大重连延迟(ms)
+    offlineQueue: {
+      size: 100, // 断线期间最多缓冲的API调用数
+      timeout: 30000 // 缓冲的调用等待重连的最长时间(ms)
+    }
+  },
+  
+  // 多账号连接，每项为一条协议端连接，未填写的字段沿用 adapter 中的配置；为空时只使用 adapter
+  // 例如: [{ name: '主号', type: 'ws', ws: { url: 'ws://127.0.0.1:3001' } },
+  //        { name: '小号', type: 'http', http: { port: 3002, apiUrl: 'http://127.0.0.1:5701' } }]
+  // 反向WebSocket和HTTP连接需要各自使用不同的端口
+  connections: [],
+  
+  // 定时任务配置
+  scheduler: {
+    timezone: 'Asia/Shanghai' // 插件定时任务默认使用的时区
+  },
+  
+  // 发送队列配置，避免频繁发送触发风控
+  sendQueue: {
+    enabled: true,
+    minInterval: 1000, // 同一群/好友两次发送的最小间隔(ms)
+    maxPerSecond: 5, // 全局每秒最多发送条数，0为不限制
+    retries: 3, // 发送失败后的最大重试次数
+    retryDelay: 1000, // 首次重试延迟(ms)，之后每次翻倍
+    retryRetcodes: [100], // 可重试的retcode
+    retryUncertain: false, // 超时或断线时是否重试，协议端可能已经发出消息，开启后可能重复发送
+    maxDeadLetters: 100 // 最多保留的发送失败记录
+  },
+  
+  // 合并转发配置
+  forward: {
+    fallbackChunkSize: 1500 // 协议端不支持合并转发时，分段发送的每段最大字数
   },
   
   // 数据库配置
@@ -50,6 +142,18 @@ module.exports = {
     db: 0
   },
   
+  // 缓存配置，bot.redis 使用的后端
+  cache: {
+    driver: 'auto', // 'redis'、'embedded'，'auto' 为Redis连接失败时改用内置缓存
+    embedded: {
+      persist: 'file', // 内置缓存的持久化方式：'file'、'sqlite'，false为只保存在内存中
+      file: path.join(process.cwd(), 'data', 'cache.json'),
+      sqlite: path.join(process.cwd(), 'data', 'cache.db'),
+      saveDelay: 1000, // 文件持久化时，修改后延迟写入的时间(ms)
+      sweepInterval: 60000 // 过期键的清理间隔(ms)，0为只在读取时清理
+    }
+  },
+  
   // 日志配置
   logger: {
     level: 'info', // 日志级别: trace, debug, info, warn, error, fatal